@@ -3,11 +3,34 @@ export const GRID_HEIGHT = 8;
 export const CELL_SIZE = 32;
 export const VIEW_PADDING_X = 40;
 export const VIEW_PADDING_Y = 60;
-export const GAME_WIDTH = GRID_WIDTH * CELL_SIZE + 2 * VIEW_PADDING_X;
-export const GAME_HEIGHT = GRID_HEIGHT * CELL_SIZE + 2 * VIEW_PADDING_Y;
+// The largest size a cell is shown at on screen, in CSS pixels, when the window leaves room for more.
+export const MAX_CELL_DISPLAY_SIZE = 72;
 export const COLOR_OPTIONS = [0xfecd6c, 0x77c298, 0x718dbf, 0xa4547d, 0xe84d60, 0x574141, 0xBFA5A5, 0xFFC4FF];
 export const CIRCLE_COLORS = 5;
 export const BONUS_CHAIN_LENGTH = 10;
 export const ADJACENT_CIRCLE_OFFSETS_LEFT_LEANING = [[-1, -1], [0, -1], [0, 1], [-1, 0], [-1, 1], [1, 0]];
 export const ADJACENT_CIRCLE_OFFSETS_RIGHT_LEANING = [[0, -1], [0, 1], [-1, 0], [1, -1], [1, 0], [1, 1]];
-export const GAME_LENGTH = 30000;
\ No newline at end of file
+export const GAME_LENGTH = 30000;
+export const MOVES_LIMIT = 20;
+export const LEADERBOARD_SIZE = 5;
+export const HINT_IDLE_TIME = 5000;
+// During the last seconds of a countdown the HUD turns red and a warning ticks every second.
+export const COUNTDOWN_WARNING_SECONDS = 5;
+// The time in milliseconds each player has to clear a chain in a hot seat game.
+export const HOT_SEAT_TURN_TIME = 10000;
+// A chain cleared within COMBO_WINDOW milliseconds of the previous one continues the combo, every
+// step of a combo adds COMBO_STEP to the multiplier of the points, up to COMBO_MAX_MULTIPLIER.
+export const COMBO_WINDOW = 2000;
+export const COMBO_STEP = 0.5;
+export const COMBO_MAX_MULTIPLIER = 3;
+// Alternative dot palettes, each with as many colors as COLOR_OPTIONS. The colorblind palettes are
+// picked so that neighbouring color indices stay distinguishable for that type of color vision.
+// The colors of the default palette are taken from the dots of the current theme (see theme.js).
+export const COLOR_PALETTES = [
+    { id: 'default', label: 'palettes.default', colors: COLOR_OPTIONS },
+    { id: 'deuteranopia', label: 'palettes.deuteranopia', colors: [0xE69F00, 0x56B4E9, 0x009E73, 0xF0E442, 0x0072B2, 0xD55E00, 0xCC79A7, 0x999999] },
+    { id: 'protanopia', label: 'palettes.protanopia', colors: [0xFFB000, 0x648FFF, 0xDC267F, 0x785EF0, 0x004949, 0xFE6100, 0xB6DBFF, 0x6D6D6D] },
+    { id: 'tritanopia', label: 'palettes.tritanopia', colors: [0xD62728, 0x17BECF, 0x8C564B, 0xE377C2, 0x2CA02C, 0x7F7F7F, 0x1F1F7A, 0xFFB3B3] },
+];
+// The chance that a dot created by a refill is a special dot of each type (see BoardModel).
+export const SPECIAL_DOT_RATES = { bomb: 0.02, wildcard: 0.02, anchor: 0.015 };
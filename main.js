@@ -1,18 +1,22 @@
 import MainScene from "./scenes/mainScene.js";
 
+// The scale manager fits the canvas into the window and centers it, also after the window is
+// resized or the device is rotated. The scene picks the size of the canvas (see
+// MainScene.applyLayout).
 const config = {
     type: Phaser.AUTO,
-    width: 800,
-    height: 600,
+    scale: {
+        mode: Phaser.Scale.FIT,
+        autoCenter: Phaser.Scale.CENTER_BOTH,
+        width: 800,
+        height: 600,
+    },
     scene: MainScene,
-    backgroundColor: '#FFFFFF',
-    physics: {
-        default: 'arcade',
-        arcade: {
-            gravity: { y: 0 },
-            debug: false
-        }
+    // A long press on a touch screen would otherwise open the context menu in the middle of a chain.
+    disableContextMenu: true,
+    input: {
+        gamepad: true
     },
 };
 
-new Phaser.Game(config);
\ No newline at end of file
+new Phaser.Game(config);
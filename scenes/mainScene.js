@@ -1,355 +1,735 @@
 import * as Constants from '../constants/constants.js';
+import { AchievementTracker } from '../utils/achievements.js';
+import { AudioManager } from '../utils/audioManager.js';
+import { AutoplayBot } from '../utils/autoplayBot.js';
+import { createBoardGeometry, HexGeometry } from '../utils/boardGeometry.js';
+import { BoardController } from '../utils/boardController.js';
+import { BoardModel } from '../utils/boardModel.js';
+import { CampaignProgress, LEVEL_DIRECTORY, parseLevel } from '../utils/campaign.js';
+import { ColorScheme } from '../utils/colorScheme.js';
+import { CursorInputManager } from '../utils/cursorInputManager.js';
+import { GAME_EVENTS, GameEventBus } from '../utils/gameEvents.js';
+import { CampaignMode, createGameMode } from '../utils/gameModes.js';
+import { GameRecorder } from '../utils/gameRecorder.js';
+import { GameSettings } from '../utils/gameSettings.js';
+import { GameStats, PersonalBests } from '../utils/gameStats.js';
+import { HintManager } from '../utils/hintManager.js';
+import { Leaderboard } from '../utils/leaderboard.js';
+import { LOCALE_DIRECTORY, Localization, parseLocale } from '../utils/localization.js';
+import { ReplayPlayer } from '../utils/replayPlayer.js';
+import { SavedGameStore } from '../utils/savedGame.js';
+import { ComboTracker, createScoringRules } from '../utils/scoring.js';
+import { SeededRandom } from '../utils/seededRandom.js';
+import { parseTheme, THEME_DIRECTORY, ThemeManager } from '../utils/theme.js';
+import { getDisplayZoom, getPixelRatio } from '../utils/viewport.js';
 import { GameStateDisplayManager } from '../utils/gameStateDisplayManager.js';
 import { MenuManager } from '../utils/menuManager.js';
+import { PluginHost } from '../utils/plugins.js';
 import { VisualEffectsManager } from '../utils/visualEffectsManager.js';
 
-// The mainScene class handles the core board logic as well as the underlying data powering
+// The mainScene class handles the game logic as well as the underlying data powering
 // the GameStateDisplayManager, the VisualEffectsManager, and the MenuManager. This class
 // powers the entire game, but delegates works and data storage to its Manager classes. It
-// only contains data necessary to it or needed by all Manager classes rather than being 
-// polluted with data only needed by one Manager class.
+// only contains data necessary to it or needed by all Manager classes rather than being
+// polluted with data only needed by one Manager class. Each board ('boards') is run by a
+// BoardController, the 'activeBoard' is the one the cursor, hints, bot and replays play on.
+// How a game ends is decided by the current GameMode, and everything that happens during a
+// game is announced on 'gameEvents' (see gameEvents.js).
 export default class MainScene extends Phaser.Scene {
     constructor() {
         super('MyScene');
     }
 
-    // This function is called whenever a new circle needs to be created. It sets the position
-    // and determines the color of the circle. It also sets the color, gridX, and gridY 
-    // attributes on the object so that they can be referenced later.
-    createNewCircle(x, y, gridY) {
-        const color = Phaser.Math.RND.pick(Constants.COLOR_OPTIONS.slice(0, Constants.CIRCLE_COLORS));
-        let posX = (x * Constants.CELL_SIZE + Constants.CELL_SIZE / 2) + Constants.VIEW_PADDING_X - Constants.CELL_SIZE / 3;
-        if (y % 2 === 0) {
-            posX += Constants.CELL_SIZE / 2;
+    // Called by a BoardController once a chain has been cleared from it. The chain is recorded,
+    // scored for the player of the board and passed on to the game mode. A chain that continues a
+    // combo gets the combo effect.
+    onChainCleared(board, { chain, clearedCells, isLoop, isBonusChain, color }) {
+        if (this.recorder) {
+            this.recorder.recordChain(chain, isLoop, this.gameElapsed);
         }
-        const posY = (y * Constants.CELL_SIZE + Constants.CELL_SIZE / 2) + Constants.VIEW_PADDING_Y;
-
-        const radius = Constants.CELL_SIZE / 3;
-        let circle = this.add.circle(posX, posY, radius, color);
-        this.physics.add.existing(circle);
-        circle.body.setCircle(radius);
-
-        circle.color = color;
-        circle.gridX = x;
-        circle.gridY = gridY;
-        circle.setInteractive();
-        return circle;
-    }
-
-    // This function is called when the initial board is created and each time new circles
-    // are added to the game board. It adds an on overlap handler method for what happens 
-    // when the cursor physics body overlaps with a circle.
-    addOnCollisionHandler(circles) {
-        this.physics.add.overlap(this.pointerBody, circles, (pointerBody, circle) => {
-            if (this.isValidNextCircle(circle)) {
-                if (this.isBackTracking(circle)) {
-                    this.removeCircleFromChain(circle);
-                } else if (!this.selectedCircles.includes(circle) && !this.loopCreated) {
-                    this.addCircleToSelectedChain(circle);
-                } else if (this.selectedCircles.includes(circle) && !this.loopCreated) {
-                    this.handleLoopCreated(circle);
-                }
+        const playerIndex = board.playerIndex;
+        const { points, comboMultiplier } = this.scoreChain(board, clearedCells, isLoop);
+        this.combos[playerIndex].recordClear(this.getChainTime());
+        if (comboMultiplier > 1) {
+            this.visualEffectsManager.playComboEffect(comboMultiplier, color, board.centerX);
+        }
+        this.gameStats.recordChain(chain, clearedCells, isLoop, isBonusChain);
+        this.addPoints(points, color, board, playerIndex);
+        this.gameMode.onChainCleared(clearedCells.length, clearedCells, isLoop);
+        this.audioManager.playClear(clearedCells.length);
+        this.gameEvents.emit(GAME_EVENTS.CHAIN_COMMITTED, {
+            board: board.index,
+            player: playerIndex,
+            chain,
+            clearedCells,
+            isLoop,
+            isBonusChain,
+            points,
+            comboMultiplier,
+            score: this.playerScores[playerIndex],
+        });
+    }
+
+    // Returns what a chain clearing 'clearedCells' on 'board' scores when it is cleared now, with
+    // the scoring rules of the game and the combo of the board's player (see
+    // ScoringRules.scoreChain). Used for committed chains and for the preview of a chain.
+    scoreChain(board, clearedCells, isLoop) {
+        const comboMultiplier = this.combos[board.playerIndex].getMultiplier(this.getChainTime());
+        return this.scoringRules.scoreChain(clearedCells, isLoop, comboMultiplier);
+    }
+
+    // The game time chains are scored at. A replay commits each chain on the first frame after
+    // the time it was recorded at, but it is scored at the recorded time.
+    getChainTime() {
+        return this.replayPlayer && this.replayPlayer.commitTime !== null ? this.replayPlayer.commitTime : this.gameElapsed;
+    }
+
+    // Called every frame while a game is running. Shows the combo multiplier the player of every
+    // board would earn with the next chain, and updates the preview of the chain being built once
+    // the combo runs out or the turn passes to a player with another combo.
+    updateCombos() {
+        this.boards.forEach((board) => {
+            const comboMultiplier = this.combos[board.playerIndex].getMultiplier(this.gameElapsed);
+            if (comboMultiplier !== board.comboMultiplier) {
+                board.comboMultiplier = comboMultiplier;
+                board.updatePointsToBeAdded();
+                this.gameStateDisplayManager.setComboMultiplier(board, comboMultiplier);
             }
         });
-    };
-
-    // This function is called whenever the pointer physics body overlaps with a circle on 
-    // the game board. It determines whether this circle would be a valid next circle for the 
-    // players chain of circle. This logic is determined by the ADJACENT_CIRCLE_OFFSETS_RIGHT_LEANING
-    // and ADJACENT_CIRCLE_OFFSETS_LEFT_LEANING constants defined in constants.js. If valid connections
-    // needed to be updated those constants are all that would need to change.
-    isValidNextCircle(circle) {
-        if (this.selectedCircles.length === 0) {
-            return true;
-        }
-        const lastCircle = this.selectedCircles[this.selectedCircles.length - 1];
-        const xOffset = circle.gridX - lastCircle.gridX;
-        const yOffset = circle.gridY - lastCircle.gridY;
-        const isValidAdjacentCircle = lastCircle.gridY % 2 === 0
-            ? Constants.ADJACENT_CIRCLE_OFFSETS_RIGHT_LEANING.some(coord =>
-                coord[0] === xOffset && coord[1] === yOffset)
-            : Constants.ADJACENT_CIRCLE_OFFSETS_LEFT_LEANING.some(coord =>
-                coord[0] === xOffset && coord[1] === yOffset);
-        return isValidAdjacentCircle && lastCircle.color === circle.color;
-    }
-
-    // This function determines if the player is 'backtracking' or going back to the second most recent
-    // circle they have in their chain. This is called whenever the cursor physics body overlaps with
-    // a circle on the game board. 
-    isBackTracking(circle) {
-        if (this.selectedCircles.length <= 0) {
-            return false;
+    }
+
+    // Adds points scored on 'board' to the total score and to the score of the player
+    // 'playerIndex'.
+    addPoints(pointsToAdd, color, board, playerIndex) {
+        this.visualEffectsManager.scoringPointsAnimation(pointsToAdd, color, board.centerX);
+        this.score += pointsToAdd;
+        this.playerScores[playerIndex] += pointsToAdd;
+        this.gameStats.recordPoints(pointsToAdd, this.gameElapsed);
+        this.updateScoreBoard();
+        this.gameEvents.emit(GAME_EVENTS.SCORE_CHANGED, {
+            board: board.index,
+            player: playerIndex,
+            points: pointsToAdd,
+            score: this.playerScores[playerIndex],
+        });
+    }
+
+    // Shows the score in the HUD, or in a versus game the score of every player with the player
+    // whose turn it is marked.
+    updateScoreBoard() {
+        if (this.isVersusGame()) {
+            this.gameStateDisplayManager.setPlayerScores(this.playerScores, this.gameMode.activePlayerIndex);
+        } else {
+            this.gameStateDisplayManager.setScoreBoardText(this.score);
         }
-        return this.selectedCircles[this.selectedCircles.length - 2] === circle;
     }
 
-    updateSelectedChainGraphics() {
-        this.visualEffectsManager.updateChainLines();
-        this.visualEffectsManager.updateBorder();
+    isVersusGame() {
+        return this.gameMode.playerCount > 1;
     }
 
-    addCircleToSelectedChain(circle) {
-        this.selectedCircles.push(circle);
-        this.visualEffectsManager.createPulseEffect(circle);
-        this.updatePointsToBeAdded(1, circle.color);
-        this.updateSelectedChainGraphics();
+    // Returns the width of the whole game, which holds 'boardCount' boards side by side.
+    getViewWidth() {
+        return this.settings.gameWidth * this.boardCount;
     }
 
-    removeCircleFromChain() {
-        this.loopCreated = false;
-        const circleToPop = this.selectedCircles.pop();
-        this.updatePointsToBeAdded(-1, circleToPop.color);
-        this.updateSelectedChainGraphics();
+    // Returns the middle of the whole game, menus are centered on it.
+    getViewCenter() {
+        return { x: this.getViewWidth() / 2, y: this.settings.gameHeight / 2 };
     }
 
-    handleLoopCreated(circle) {
-        this.loopCreated = true;
-        this.setAllSimilarColoredCirclesToSelectedCircles(circle.color);
-        this.addCircleToSelectedChain(circle);
-        this.allSimilarColorCircles.forEach((circle) => {
-            this.visualEffectsManager.createPulseEffect(circle);
-        })
+    clearPreviousGame() {
+        this.boards.forEach(board => board.destroy());
+        this.boards = [];
+        this.activeBoard = null;
+        this.cursorInputManager.hideCursor();
+        this.gameStateDisplayManager.clearAllText();
     }
 
-    setAllSimilarColoredCirclesToSelectedCircles(color) {
-        this.allSimilarColorCircles = [];
-        this.board.flat().forEach((circle) => {
-            if (circle.color === color) {
-                this.allSimilarColorCircles.push(circle);
-            }
-        })
-    }
-
-    // This function is called each time circles are removed from the board. 'columnsToAdjust' is
-    // a list of column indices that have had circles removed. Each column is processed and new circles
-    // are created as needed.
-    updateBoard(columnsToAdjust) {
-        columnsToAdjust.forEach((column) => {
-            let spacesToMove = 0; // The number of spaces the created circle will need to fall down to get to it's place.
-            let remainingCircles = [];
-            const curColumn = this.board[column];
-            // This loop goes through a column from top to bottom, keeping track of the number of indices that have 
-            // a null circle (these are circles that have been removed from the game board via a successful player
-            // chain). At each index in the array in which there is an existing circle and that circle has indices 
-            // below it that are empty, we must move the circle down exactly enough to fill the space. This loop
-            // handles all of the visual effects for this process and the addNewCirclesToColumn function call below
-            // handles updating the game state.
-            for (var i = this.board[column].length - 1; i > -1; i--) {
-                let curCircle = curColumn[i];
-                if (curCircle.active === false) {
-                    curColumn[i] = null;
-                    spacesToMove += 1;
-                } else if (spacesToMove > 0) {
-                    curCircle.gridY += spacesToMove;
-                    this.visualEffectsManager.createAndPlayFallingTweens(curCircle, spacesToMove, i);
-                }
-                if (curCircle.active !== false) {
-                    remainingCircles.push(curCircle);
-                }
+    // Starts a new game in the game mode with the id 'modeId' (see GAME_MODES). Passing a 'seed'
+    // reproduces the exact board (and refills) of an earlier game, without one a new random seed
+    // is used. 'specialDotRates' are the spawn rates of special dots, see SPECIAL_DOT_RATES. A
+    // campaign 'level' decides the colors and the starting layout of the board. 'savedGame' is only
+    // passed by continueGame, the game then picks up where the saved game left off. The game is
+    // resized to fit the boards of the mode.
+    startGame(modeId, {
+        seed = SeededRandom.createSeed(),
+        specialDotRates = Constants.SPECIAL_DOT_RATES,
+        level = null,
+        savedGame = null,
+    } = {}) {
+        this.initializeGameVariables();
+        this.autoplayBot.reset();
+        this.cursorInputManager.reset();
+        if (!savedGame) {
+            this.savedGames.clear();
+        }
+        this.seed = seed;
+        this.level = level;
+        this.gameMode = createGameMode(modeId, this);
+        this.boardCount = this.gameMode.boardCount;
+        this.applyLayout();
+        // Every board draws from its own generator with the same seed, so the boards of the split
+        // screen mode start out the same and are refilled with the same dots.
+        this.boards = Array.from({ length: this.boardCount }, (_, index) => {
+            const random = new SeededRandom(seed);
+            if (savedGame) {
+                random.setState(savedGame.randomState);
             }
-            this.addNewCirclesToColumn(column, remainingCircles);
-        })
-    }
-
-    // This function is called whenever the board is updated. 'curColumnIndex' is the index of the column  
-    // that is having new circles created for, 'remainingCircles' is the remainingCircles that were not previously
-    // cleared from this column. This function generates as many new cirlces as necessary to fill in the holes left
-    // by removed circles. It creates these circles, plays a falling animation for them based on how far they have to
-    // fall (spacesToMoveDown), and then adds them to the game state (this.board).
-    addNewCirclesToColumn(curColumnIndex, remainingCircles) {
-        const newCircles = []
-        const spacesToMoveDown = Constants.GRID_HEIGHT - remainingCircles.length;
-        for (var gridY = 0; gridY < spacesToMoveDown; gridY++) {
-            const newCircle = this.createNewCircle(curColumnIndex, gridY - spacesToMoveDown, gridY)
-            newCircles.push(newCircle);
-            this.visualEffectsManager.createAndPlayFallingTweens(newCircle, spacesToMoveDown, gridY - spacesToMoveDown);
+            const boardModel = new BoardModel({
+                width: this.settings.gridWidth,
+                height: this.settings.gridHeight,
+                colorCount: this.settings.circleColors,
+                colors: savedGame ? savedGame.colors : (level ? level.colors : undefined),
+                layout: level ? level.layout : undefined,
+                specialDotRates,
+                geometry: createBoardGeometry(this.settings.geometry),
+                random,
+            });
+            return new BoardController(this, { index, boardModel, originX: index * this.settings.gameWidth });
+        });
+        this.activeBoard = this.boards[0];
+        // Hints would help only one of the players of a versus game.
+        this.hintManager.reset(this.isVersusGame() ? null : this.activeBoard);
+        this.playerScores = Array(this.gameMode.playerCount).fill(0);
+        // Levels may change the scoring rules, every player has a combo of their own.
+        this.scoringRules = createScoringRules({ ...this.getGameConfig(), scoring: level ? level.scoring : undefined });
+        this.combos = this.playerScores.map(() => new ComboTracker(this.scoringRules.combo));
+        this.gameStats = savedGame
+            ? GameStats.fromSavedState(savedGame.stats)
+            : new GameStats({ modeId: this.gameMode.id, seed });
+        if (savedGame) {
+            this.score = savedGame.score;
+            this.playerScores = [savedGame.score];
+            this.gameElapsed = savedGame.elapsed;
+            this.hintManager.hintsUsed = savedGame.hintsUsed || 0;
         }
-        this.board[curColumnIndex] = [...newCircles, ...remainingCircles.reverse()];
-        this.addOnCollisionHandler(newCircles);
-        this.boardRefillHappening = false;
+        this.gameIsRunning = true;
+        this.updateScoreBoard();
+        if (!this.replayPlayer) {
+            this.gameStateDisplayManager.showPauseButton(() => this.pauseGame());
+        }
+        this.boards.forEach(board => board.createInitialBoard(savedGame));
+        this.gameMode.start(savedGame ? savedGame.modeState : null);
+        // Replays are not recorded again and neither are levels or versus games, every other game
+        // is so that it can be saved afterwards.
+        const config = { ...this.getGameConfig(), specialDotRates };
+        if (savedGame && savedGame.replay) {
+            this.recorder = GameRecorder.resume(savedGame.replay);
+        } else {
+            this.recorder = this.replayPlayer || level || this.isVersusGame()
+                ? null
+                : new GameRecorder({ seed, modeId: this.gameMode.id, config });
+        }
+        this.gameEvents.emit(GAME_EVENTS.GAME_STARTED, {
+            modeId: this.gameMode.id,
+            seed,
+            levelId: level ? level.id : null,
+            isReplay: Boolean(this.replayPlayer),
+            config,
+            colors: [...this.activeBoard.boardModel.colors],
+        });
     }
 
-    resetPointsToBeAdded() {
-        this.currentPointsToAdd = 0;
-        this.gameStateDisplayManager.setPointsToBeAddedText(0, null);
+    // Returns the board configuration and rules of the current settings in the form they are
+    // stored in replays.
+    getGameConfig() {
+        return {
+            width: this.settings.gridWidth,
+            height: this.settings.gridHeight,
+            colorCount: this.settings.circleColors,
+            bonusChainLength: this.settings.bonusChainLength,
+            gameLength: this.settings.gameLength,
+            movesLimit: this.settings.movesLimit,
+            geometry: this.settings.geometry,
+        };
     }
 
-    updatePointsToBeAdded(pointsToAdd, color) {
-        this.currentPointsToAdd += pointsToAdd;
-        this.gameStateDisplayManager.setPointsToBeAddedText(this.currentPointsToAdd, color);
+    // This function resizes the game to fit 'boardCount' boards of the board size of the current
+    // settings. It is called at startup, at the start of every game, whenever the board size
+    // changes and whenever the scale manager has fitted the game into a new window size, and
+    // moves the border and the HUD along with the new size. The game is laid out in game units,
+    // the camera zooms them to fill the window (see getDisplayZoom). The canvas has a device pixel
+    // for every pixel on screen, so that it stays sharp on high-DPI screens.
+    applyLayout() {
+        const { canvasWidth, canvasHeight, zoom } = this.getCanvasLayout();
+        const pixelRatio = getPixelRatio();
+        // The scale manager would otherwise stretch the canvas beyond MAX_CELL_DISPLAY_SIZE.
+        this.scale.displaySize.setMax(canvasWidth / pixelRatio, canvasHeight / pixelRatio);
+        this.scale.setGameSize(canvasWidth, canvasHeight);
+        this.cameras.main.setSize(canvasWidth, canvasHeight).setOrigin(0, 0).setZoom(zoom);
+        // Texts are drawn at the zoom of the camera, otherwise they would be scaled up blurry.
+        this.textResolution = zoom;
+        this.children.list
+            .filter(child => child instanceof Phaser.GameObjects.Text)
+            .forEach(text => text.setResolution(this.textResolution));
+        this.visualEffectsManager.addGameBorder();
+        this.gameStateDisplayManager.updateLayout();
     }
 
-    addPoints(pointsToAdd, color) {
-        this.visualEffectsManager.scoringPointsAnimation(pointsToAdd, color);
-        this.score += pointsToAdd;
-        this.gameStateDisplayManager.setScoreBoardText(this.score);
+    // Returns the size of the canvas in device pixels and the zoom of the camera for the current
+    // board size and the size of the window.
+    getCanvasLayout() {
+        const { gameHeight } = this.settings;
+        const gameWidth = this.getViewWidth();
+        const zoom = getDisplayZoom(gameWidth, gameHeight, this.scale.parentSize) * getPixelRatio();
+        return { canvasWidth: Math.round(gameWidth * zoom), canvasHeight: Math.round(gameHeight * zoom), zoom };
     }
 
-    clearBoard() {
-        this.board.flat().forEach((circle) => {
-            circle.destroy();
-            circle = null;
-        })
-        this.board = [];
-        this.selectedCircles = [];
+    // Switches back to the player's own settings and a single board once a game is over, a game
+    // may have been played with the board configuration of a replay, level or save.
+    restoreLayout() {
+        this.boardCount = 1;
+        this.settings.restoreSaved();
+        this.applyLayout();
     }
 
-    clearPreviousGame() {
-        this.clearBoard();
-        this.visualEffectsManager.clearAllGraphics();
-        this.gameStateDisplayManager.clearAllText();
+    // Plays back a replay that was parsed by GameRecorder.parseReplay. The game is started with
+    // the replay's seed and mode, and the ReplayPlayer then commits the recorded chains. The
+    // replay's configuration is used instead of the player's settings until it is over. Throws an
+    // error if the replay was recorded on a board the settings do not allow.
+    startReplay(replay) {
+        const { width, height, colorCount, ...rules } = replay.config;
+        // Replays recorded before the board geometry could be chosen were played on the hex board.
+        this.settings.override({ gridWidth: width, gridHeight: height, circleColors: colorCount, geometry: HexGeometry.id, ...rules });
+        const config = this.getGameConfig();
+        if (Object.keys(replay.config).some(key => key in config && config[key] !== replay.config[key])) {
+            this.settings.restoreSaved();
+            throw new Error('This replay was recorded on an unsupported board.');
+        }
+        this.replayPlayer = new ReplayPlayer(this, replay);
+        // Replays recorded before special dots existed have no rates and are played without them.
+        this.startGame(replay.mode, { seed: replay.seed, specialDotRates: replay.config.specialDotRates || {} });
+        this.gameStateDisplayManager.showReplayControls(this.replayPlayer);
     }
 
-    createInitialBoard() {
-        const board = Array.from({ length: Constants.GRID_WIDTH }, () => []);
-        for (let y = 0; y < Constants.GRID_HEIGHT; y++) {
-            for (let x = 0; x < Constants.GRID_WIDTH; x++) {
-                board[x].push(this.createNewCircle(x, y, y));
+    // Parses the theme files that were loaded in preload, in the order of the theme index. Themes
+    // that can not be parsed are left out with a warning.
+    loadThemes() {
+        const themeFiles = this.cache.json.get('themeIndex') || [];
+        return themeFiles.flatMap((fileName) => {
+            try {
+                return [parseTheme(this.cache.json.get(`theme:${fileName}`), fileName)];
+            } catch (error) {
+                console.warn(error.message);
+                return [];
             }
+        });
+    }
+
+    // Parses the locale files that were loaded in preload, in the order of the locale index.
+    // Locales that can not be parsed are left out with a warning.
+    loadLocales() {
+        const localeFiles = this.cache.json.get('localeIndex') || [];
+        return localeFiles.flatMap((fileName) => {
+            try {
+                return [parseLocale(this.cache.json.get(`locale:${fileName}`), fileName)];
+            } catch (error) {
+                console.warn(error.message);
+                return [];
+            }
+        });
+    }
+
+    // Shows the game in the current theme of the ThemeManager: the background, the dots, the
+    // border and the HUD. A running game is restyled in place, menus draw themselves in the theme
+    // when they are opened.
+    applyTheme() {
+        const theme = this.themeManager.theme;
+        this.cameras.main.setBackgroundColor(theme.background);
+        this.colorScheme.setTheme(theme);
+        this.visualEffectsManager.applyTheme();
+        this.gameStateDisplayManager.applyTheme();
+        this.boards.forEach(board => board.applyTheme());
+    }
+
+    // Parses the level files that were loaded in preload, in the order of the level index. Levels
+    // that can not be parsed are left out with a warning.
+    loadLevels() {
+        const levelFiles = this.cache.json.get('levelIndex') || [];
+        return levelFiles.flatMap((fileName) => {
+            try {
+                return [parseLevel(this.cache.json.get(`level:${fileName}`), fileName)];
+            } catch (error) {
+                console.warn(error.message);
+                return [];
+            }
+        });
+    }
+
+    // Starts the campaign level at 'levelIndex' in this.levels. The board size and geometry of the
+    // level are used instead of the player's settings until the level is over.
+    startLevel(levelIndex) {
+        const level = this.levels[levelIndex];
+        this.settings.override({ gridWidth: level.width, gridHeight: level.height, geometry: level.geometry || HexGeometry.id });
+        this.startGame(CampaignMode.id, { level, specialDotRates: level.specialDotRates || {} });
+    }
+
+    // Stores the running game with the SavedGameStore so that it can be continued later, even
+    // after the page was closed. Replays and versus games are not saved. Points of anchors that
+    // are still sinking are not part of the score yet, so they are lost when such a save is continued.
+    saveGame() {
+        if (!this.gameIsRunning || this.replayPlayer || this.isVersusGame()) {
+            return;
         }
-        this.board = board;
-        this.addOnCollisionHandler(board.flat());
+        const boardModel = this.activeBoard.boardModel;
+        this.savedGames.save({
+            mode: this.gameMode.id,
+            levelId: this.level ? this.level.id : null,
+            seed: this.seed,
+            randomState: boardModel.random.getState(),
+            config: { ...this.getGameConfig(), specialDotRates: boardModel.specialDotRates },
+            colors: boardModel.colors,
+            cells: boardModel.getCellData(),
+            nextCellId: boardModel.nextCellId,
+            score: this.score,
+            elapsed: this.gameElapsed,
+            modeState: this.gameMode.getSavedState(),
+            stats: this.gameStats.getSavedState(),
+            hintsUsed: this.hintManager.hintsUsed,
+            replay: this.recorder ? this.recorder.toJSON() : null,
+        });
     }
 
-    startGame() {
-        this.initializeGameVariables();
-        this.startTimer();
-        this.gameStateDisplayManager.setScoreBoardText(0);
-        this.createInitialBoard();
+    // Continues the game in the SavedGameStore. Its board configuration is used instead of the
+    // player's settings until it is over, like for replays. A save of a level that no longer
+    // exists is thrown away.
+    continueGame() {
+        const savedGame = this.savedGames.load();
+        const level = savedGame && savedGame.levelId !== null
+            ? this.levels.find(candidate => candidate.id === savedGame.levelId)
+            : null;
+        if (!savedGame || level === undefined) {
+            this.savedGames.clear();
+            this.showStartMenu();
+            return;
+        }
+        const { width, height, colorCount, specialDotRates, ...rules } = savedGame.config;
+        this.settings.override({ gridWidth: width, gridHeight: height, circleColors: colorCount, ...rules });
+        this.startGame(savedGame.mode, { seed: savedGame.seed, specialDotRates, level, savedGame });
     }
 
-    startTimer() {
-        this.gameIsRunning = true;
-        this.countdown = this.time.addEvent({
-            delay: Constants.GAME_LENGTH,
-            callback: this.onCountdownComplete,
-            callbackScope: this,
-            loop: false
+    // Pointer input is ignored while a replay is playing, while the game is paused and while the
+    // game mode does not accept any, for example between two turns.
+    isPlayerInputEnabled() {
+        return this.gameIsRunning && !this.replayPlayer && !this.isPaused && this.gameMode.acceptsInput();
+    }
+
+    // Pauses the running game: the clock (and with it the countdown) and every tween stop and
+    // player input is ignored until resumeGame is called. The chains the players were
+    // building are dropped and the MenuManager shows the pause overlay.
+    pauseGame() {
+        if (!this.gameIsRunning || this.isPaused) {
+            return;
+        }
+        this.boards.forEach((board) => {
+            board.dropPointer();
+            board.cancelSelectedChain();
         });
+        this.saveGame();
+        this.isPaused = true;
+        this.time.paused = true;
+        this.tweens.pauseAll();
+        this.cursorInputManager.hideCursor();
+        this.menuManager.createPauseMenu();
     }
 
-    // This function is called once the timer countdown ends (at the end of the game). 
-    // It stops the game, clears all UI from the previous game run, and displays a menu.
-    onCountdownComplete() {
+    resumeGame() {
+        if (!this.isPaused) {
+            return;
+        }
+        this.isPaused = false;
+        // A replay that was paused with its own controls stays paused.
+        if (!this.replayPlayer || !this.replayPlayer.paused) {
+            this.time.paused = false;
+            this.tweens.resumeAll();
+        }
+    }
+
+    // Called by the pause key, which opens the pause overlay or closes it again.
+    togglePause() {
+        if (this.isPaused) {
+            this.menuManager.closeMenu();
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+
+    // Ends the running game without a result, nothing is recorded on the leaderboard or in the
+    // campaign. Used by the Restart and Quit buttons of the pause overlay.
+    abandonGame() {
+        this.resumeGame();
+        this.savedGames.clear();
         this.gameIsRunning = false;
+        this.gameMode.end();
         this.clearPreviousGame();
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
+        if (this.replayPlayer) {
+            this.replayPlayer.stop();
+            this.replayPlayer = null;
+        }
+        this.restoreLayout();
+    }
+
+    // Starts the game that is running again from the beginning: the same mode, level or replay.
+    restartGame() {
+        const modeId = this.gameMode.id;
+        const level = this.level;
+        const replay = this.replayPlayer ? this.replayPlayer.replay : null;
+        this.abandonGame();
+        if (replay) {
+            this.startReplay(replay);
+        } else if (level) {
+            this.startLevel(this.levels.indexOf(level));
+        } else {
+            this.startGame(modeId);
         }
-        this.menuManager.createMenu(`Last Score: ${this.score}`, `High Score ${this.highScore}`, "Try Again?!");
     }
 
-    update() {
-        if (this.countdown && this.countdown.getProgress() < 1) {
-            this.gameStateDisplayManager.setCountdownText(this.countdown.getRemainingSeconds().toFixed(2));
+    quitGame() {
+        this.abandonGame();
+        this.showStartMenu();
+    }
+
+    showStartMenu() {
+        this.menuManager.createMenu(this.localization.t('menu.subtitle'), this.localization.t('menu.subtitle2'),
+            this.localization.t('menu.startGame'));
+    }
+
+    // This function is called once the current game mode's end condition is met (at the end of
+    // the game). It stops the game, clears all UI from the previous game run, and displays a menu
+    // with the mode's summary. After a versus game that is the winner screen.
+    endGame() {
+        if (!this.gameIsRunning) {
+            return;
+        }
+        this.gameIsRunning = false;
+        this.savedGames.clear();
+        this.gameMode.end();
+        const boardModel = this.activeBoard.boardModel;
+        this.clearPreviousGame();
+        this.gameStats.finish(this.gameElapsed);
+        this.gameEvents.emit(GAME_EVENTS.GAME_OVER, {
+            modeId: this.gameMode.id,
+            score: this.score,
+            playerScores: [...this.playerScores],
+            longestChain: this.gameStats.longestChain,
+            loops: this.gameStats.loops,
+            levelId: this.level ? this.level.id : null,
+            isReplay: Boolean(this.replayPlayer),
+        });
+        if (this.replayPlayer) {
+            this.replayPlayer.stop();
+            this.replayPlayer = null;
+            this.restoreLayout();
+            const { localization } = this;
+            this.menuManager.createMenu(localization.t('summary.replayOver'), localization.t('summary.score', { score: this.score }),
+                localization.t('menu.startGame'));
+            return;
+        }
+        if (this.isVersusGame()) {
+            this.restoreLayout();
+            this.menuManager.createVersusResultMenu(this.gameMode.id, this.gameMode.getSummary(),
+                this.playerScores, this.gameMode.getWinnerIndex());
+            return;
+        }
+        if (this.level) {
+            const stars = this.gameMode.getStars();
+            this.campaignProgress.recordStars(this.level.id, stars);
+            this.restoreLayout();
+            this.menuManager.createLevelResultMenu(this.levels.indexOf(this.level), stars, this.gameMode.getSummary(this.score));
+            return;
+        }
+        this.restoreLayout();
+        this.recorder.finish(this.gameElapsed);
+        this.lastReplay = this.recorder.toJSON();
+        const tableKey = Leaderboard.getTableKey(this.gameMode.id, boardModel);
+        // Games the bot played in are compared with the personal bests, but never stored.
+        const botPlayed = this.autoplayBot.used;
+        const newEntry = botPlayed ? null : this.leaderboard.addEntry(tableKey, {
+            score: this.score,
+            longestChain: this.gameStats.longestChain,
+            loops: this.gameStats.loops,
+        });
+        const summary = this.gameStats.getSummary();
+        const comparison = botPlayed
+            ? this.personalBests.compare(tableKey, summary)
+            : this.personalBests.record(tableKey, summary);
+        const highScore = this.leaderboard.getHighScore(tableKey);
+        const [subtitleText, subtitle2Text] = this.gameMode.getSummary(this.score, highScore);
+        const note = botPlayed
+            ? this.localization.t('summary.playedByBot')
+            : this.localization.t('summary.hintsUsed', { count: this.hintManager.hintsUsed });
+        const stats = { gameStats: this.gameStats, comparison };
+        this.menuManager.createMenu(subtitleText, subtitle2Text, this.localization.t('menu.tryAgain'), { tableKey, newEntry, note, stats });
+    }
+
+    // 'gameElapsed' is the game time in milliseconds since the start of the game. It does not
+    // advance while the clock is paused and runs faster when the clock is sped up for replays.
+    update(time, delta) {
+        if (this.gameIsRunning) {
+            if (!this.time.paused) {
+                this.gameElapsed += delta * this.time.timeScale;
+            }
+            this.gameMode.update();
+            this.updateCombos();
+            this.cursorInputManager.update(delta);
+            this.autoplayBot.update(delta);
+            if (this.replayPlayer) {
+                this.replayPlayer.update(this.gameElapsed);
+            } else if (!this.activeBoard.boardRefillHappening && this.activeBoard.selectedCircles.length === 0
+                && !this.time.paused) {
+                this.hintManager.update(delta);
+            }
         }
     }
 
     initializeGameVariables() {
-        this.selectedCircles = [];
         this.score = 0;
-        this.currentPointsToAdd = 0;
-        this.loopCreated = false;
-        this.boardRefillHappening = false;
+        this.playerScores = [0];
+        this.isPaused = false;
+        this.gameElapsed = 0;
+    }
+
+    // Returns the board that follows 'pointer', or undefined if it was not pressed on a board.
+    getBoardForPointer(pointer) {
+        return this.boards.find(board => board.pointerId === pointer.id);
     }
 
     // This function sets up the pointermove, pointerdown, and pointerup behavior for the 
-    // cursor.
+    // cursor. A pointer belongs to the board it was pressed on until it is released, so with a
+    // touch screen both players of the split screen mode can build chains at the same time.
     initializePointerBehavior() {
-        // If the player has a circle actively selected then a line is drawn from the most 
-        // recent circle to the pointer. The VFXManager handles that complex logic.
+        // Pointer positions are read in world coordinates ('worldX', 'worldY'), the camera zooms
+        // the game to the size of the window.
         this.input.on('pointermove', (pointer) => {
-            if (this.gameIsRunning && pointer.isDown) {
-                this.pointerBody.setPosition(pointer.x, pointer.y);
-                if (this.selectedCircles.length > 0 && !this.boardRefillHappening) {
-                    this.visualEffectsManager.updatePointerLines(pointer);
-                }
+            const board = this.getBoardForPointer(pointer);
+            if (this.isPlayerInputEnabled() && pointer.isDown && board) {
+                board.movePointer(pointer);
             }
         });
 
-        // This updates the pointerBody physics object to be matched up with the cursor. 
         this.input.on('pointerdown', (pointer) => {
-            if (this.gameIsRunning) {
-                this.pointerBody.setPosition(pointer.x, pointer.y);
-                if (!this.boardRefillHappening) {
-                    this.pointerBody.body.enable = true;
+            if (this.isPlayerInputEnabled()) {
+                this.hintManager.onPlayerActivity();
+                this.cursorInputManager.hideCursor();
+                const board = this.boards.find(candidate => candidate.containsX(pointer.worldX));
+                if (board) {
+                    board.startPointer(pointer);
                 }
             }
         });
 
         // when player releases cursor, check if a valid circle selection has been made and remove
-        // selected circles. 
-        this.input.on('pointerup', () => {
-            if (this.gameIsRunning) {
-                this.visualEffectsManager.clearAllGraphics();
-                this.pointerBody.body.enable = false;
-
-                if (this.selectedCircles.length === 1) {
-                    this.selectedCircles = [];
-                }
-                if (this.selectedCircles.length > 1) {
-                    this.clearAllSelectedCircles();
-                }
+        // selected circles. A finger that slides off the game and is lifted there releases the
+        // chain as well.
+        const onPointerUp = (pointer) => {
+            const board = this.getBoardForPointer(pointer);
+            if (this.isPlayerInputEnabled() && board) {
+                board.releasePointer();
             }
-        });
+        };
+        this.input.on('pointerup', onPointerUp);
+        this.input.on('pointerupoutside', onPointerUp);
     }
 
-    // Called when a player successfully clears any number of circles. This function handles calling
-    // the vfxManager to play the necessary effects and calls the board update function to refill the 
-    // empty spaces left behind once the circles have been cleared.
-    clearAllSelectedCircles() {
-        const columnsToAdjust = [];
-        if (this.loopCreated) {
-            this.selectedCircles = this.allSimilarColorCircles;
-        }
-        this.boardRefillHappening = true;
-        this.loopCreated = false;
-        this.resetPointsToBeAdded();
-        this.addPoints((this.selectedCircles.length >= 10
-            ? this.selectedCircles.length * 2
-            : this.selectedCircles.length), this.selectedCircles[0].color);
-
-        let completedTweens = 0;
-        this.selectedCircles.forEach((circle) => {
-            if (!columnsToAdjust.includes(circle.gridX)) {
-                columnsToAdjust.push(circle.gridX);
-            }
-            // Play a circle shrink vfx for each circle. This smooths the transition when a circle is removed
-            this.visualEffectsManager.shrinkCircle(circle, () => {
-                completedTweens++;
-                if (completedTweens === this.selectedCircles.length) {
-                    // All animations are complete, proceed with board update. It looks better this way
-                    this.updateBoard(columnsToAdjust);
-                    this.selectedCircles = [];
-                }
-            });
-            // If the player managed to capture more than 10 circles, add a firework vfx for each circle
-            if (this.selectedCircles.length >= 10) {
-                this.visualEffectsManager.createFireworkParticles(circle);
-            }
+    // The level files of the campaign, the theme files and the locale files are listed in their
+    // index, each of them is queued as soon as the index has loaded.
+    preload() {
+        this.load.json('levelIndex', `${LEVEL_DIRECTORY}/index.json`);
+        this.load.on('filecomplete-json-levelIndex', (key, type, levelFiles) => {
+            levelFiles.forEach(fileName => this.load.json(`level:${fileName}`, `${LEVEL_DIRECTORY}/${fileName}`));
+        });
+        this.load.json('themeIndex', `${THEME_DIRECTORY}/index.json`);
+        this.load.on('filecomplete-json-themeIndex', (key, type, themeFiles) => {
+            themeFiles.forEach(fileName => this.load.json(`theme:${fileName}`, `${THEME_DIRECTORY}/${fileName}`));
+        });
+        this.load.json('localeIndex', `${LOCALE_DIRECTORY}/index.json`);
+        this.load.on('filecomplete-json-localeIndex', (key, type, localeFiles) => {
+            localeFiles.forEach(fileName => this.load.json(`locale:${fileName}`, `${LOCALE_DIRECTORY}/${fileName}`));
         });
     }
 
     create() {
+        // The strings are needed by every manager that creates texts, so they are loaded first.
+        this.localization = new Localization(this.loadLocales());
+        this.settings = new GameSettings();
+        this.gameEvents = new GameEventBus();
+        this.themeManager = new ThemeManager(this.loadThemes());
+        this.colorScheme = new ColorScheme();
         this.menuManager = new MenuManager(this);
         this.visualEffectsManager = new VisualEffectsManager(this);
+        this.audioManager = new AudioManager(this);
         this.gameStateDisplayManager = new GameStateDisplayManager(this);
+        this.hintManager = new HintManager(this, this.settings.hintDelay);
+        this.cursorInputManager = new CursorInputManager(this);
+        this.autoplayBot = new AutoplayBot(this);
+        this.boards = [];
+        this.activeBoard = null;
+        this.boardCount = 1;
+        this.textResolution = 1;
+        this.events.on(Phaser.Scenes.Events.ADDED_TO_SCENE, (gameObject) => {
+            if (gameObject instanceof Phaser.GameObjects.Text) {
+                gameObject.setResolution(this.textResolution);
+            }
+        });
 
-        // This rescales the world directly based on the GAME_COLUMNS and GAME_ROWS values
+        // This rescales the world directly based on the board size in the settings
         // This ensures the game is scaled to effectively house the game at any size.
-        this.physics.world.setBounds(0, 0, Constants.GAME_WIDTH, Constants.GAME_HEIGHT);
-        this.scale.resize(Constants.GAME_WIDTH, Constants.GAME_HEIGHT);
+        this.applyLayout();
+        // Once the scale manager has fitted the game into a new window size, which includes
+        // turning a phone between portrait and landscape, the canvas is given the resolution of
+        // that size. Resizing the canvas fits it again, which then leaves the size as it is.
+        const onResize = () => {
+            const { canvasWidth, canvasHeight } = this.getCanvasLayout();
+            if (canvasWidth !== this.scale.width || canvasHeight !== this.scale.height) {
+                this.applyLayout();
+            }
+        };
+        this.scale.on(Phaser.Scale.Events.RESIZE, onResize);
+        this.events.once('destroy', () => this.scale.off(Phaser.Scale.Events.RESIZE, onResize));
+        this.applyTheme();
 
-        // high score is initialized here so that it doesn't get reset every game run. 
+        // the leaderboard is initialized here so that it doesn't get reset every game run. 
         // intitializeGameVariables is called every game so all variables there are reset each time.
-        this.highScore = 0;
+        this.leaderboard = new Leaderboard();
+        this.personalBests = new PersonalBests();
+        this.savedGames = new SavedGameStore();
+        this.campaignProgress = new CampaignProgress();
+        // Replays and games the bot took part in do not count towards achievements.
+        this.achievements = new AchievementTracker({
+            onUnlock: achievement => this.visualEffectsManager.showAchievementToast(achievement),
+        });
+        this.achievements.observe(this.gameEvents, () => !this.replayPlayer && !this.autoplayBot.used);
+        this.levels = this.loadLevels();
         this.initializeGameVariables();
         this.initializePointerBehavior();
+        // A second touch pointer lets two players touch their boards at the same time.
+        this.input.addPointer(1);
+        this.input.keyboard.on('keydown-H', () => {
+            if (this.isPlayerInputEnabled() && !this.activeBoard.boardRefillHappening) {
+                this.hintManager.showHint();
+            }
+        });
+        // B hands the game over to the bot, pressing it again switches through its strategies
+        // and finally takes the game back. The bot does not take part in versus games.
+        this.input.keyboard.on('keydown-B', () => {
+            if (this.isPlayerInputEnabled() && !this.isVersusGame()) {
+                const strategyLabel = this.autoplayBot.cycleStrategy();
+                this.gameStateDisplayManager.showNotice(strategyLabel
+                    ? this.localization.t('hud.bot', { strategy: this.localization.t(strategyLabel) })
+                    : this.localization.t('hud.botOff'));
+            }
+        });
 
-        let pointerBody = this.physics.add.sprite(10, 10, null).setVisible(false);
-        pointerBody.setCircle(Constants.CELL_SIZE / 6);
-        this.pointerBody = pointerBody;
+        // The game pauses itself when its tab is hidden or the window loses focus.
+        this.game.events.on(Phaser.Core.Events.HIDDEN, () => this.pauseGame());
+        this.game.events.on(Phaser.Core.Events.BLUR, () => this.pauseGame());
+        // The game is saved when the page is closed, pausing saves it as well.
+        window.addEventListener('pagehide', () => this.saveGame());
 
-        this.menuManager.createMenu(`Connect Dots`, `Score Points`, "Start Game!");
+        // Plugins are installed last, once everything they may build on exists.
+        this.pluginHost = new PluginHost(this);
+        this.showStartMenu();
     }
 }
\ No newline at end of file
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as Constants from '../constants/constants.js';
+import { createBoardGeometry } from '../utils/boardGeometry.js';
+
+// The radius the pointer reaches circles in, see BoardController.
+const RADIUS = Constants.CELL_SIZE / 2;
+
+const getCellsAlongPath = (geometry, from, to, radius = RADIUS) =>
+    geometry.getCellsAlongPath(from, to, radius).map(({ x, y }) => `${x},${y}`);
+
+const move = ({ x, y }, dx, dy) => ({ x: x + dx, y: y + dy });
+
+describe('BoardGeometry.getCellsAlongPath', () => {
+    it('finds the cell under a path that does not move', () => {
+        const geometry = createBoardGeometry('square');
+        const position = move(geometry.getCellPosition(2, 3), 5, -5);
+        assert.deepEqual(getCellsAlongPath(geometry, position, position), ['2,3']);
+    });
+
+    it('finds no cell between the cells when the radius is smaller than half a cell', () => {
+        const geometry = createBoardGeometry('square');
+        const between = move(geometry.getCellPosition(1, 1), Constants.CELL_SIZE / 2, Constants.CELL_SIZE / 2);
+        assert.deepEqual(getCellsAlongPath(geometry, between, between, Constants.CELL_SIZE / 4), []);
+    });
+
+    it('finds every cell a fast path skips over, in the order it reaches them', () => {
+        const geometry = createBoardGeometry('square');
+        assert.deepEqual(getCellsAlongPath(geometry, geometry.getCellPosition(0, 2), geometry.getCellPosition(4, 2)),
+            ['0,2', '1,2', '2,2', '3,2', '4,2']);
+        assert.deepEqual(getCellsAlongPath(geometry, geometry.getCellPosition(4, 2), geometry.getCellPosition(0, 2)),
+            ['4,2', '3,2', '2,2', '1,2', '0,2']);
+    });
+
+    it('goes through the corners of a square8 board without touching the cells beside them', () => {
+        const geometry = createBoardGeometry('square8');
+        assert.deepEqual(getCellsAlongPath(geometry, geometry.getCellPosition(0, 0), geometry.getCellPosition(2, 2)),
+            ['0,0', '1,1', '2,2']);
+    });
+
+    it('follows the stagger of a hex board', () => {
+        const geometry = createBoardGeometry('hex');
+        assert.deepEqual(getCellsAlongPath(geometry, geometry.getCellPosition(0, 0), geometry.getCellPosition(1, 2)),
+            ['0,0', '1,1', '1,2']);
+        // Straight down from an odd row the path runs between the two cells of the even row below,
+        // a pixel to the right of that only the right one is reached.
+        const from = move(geometry.getCellPosition(0, 1), 1, 0);
+        assert.deepEqual(getCellsAlongPath(geometry, from, move(from, 0, 2 * Constants.CELL_SIZE)),
+            ['0,1', '0,2', '0,3']);
+    });
+
+    it('finds the cells beyond the edge of the board a path leaves it through', () => {
+        const geometry = createBoardGeometry('square');
+        const from = geometry.getCellPosition(1, 0);
+        assert.deepEqual(getCellsAlongPath(geometry, from, move(from, 2 * Constants.CELL_SIZE, -Constants.CELL_SIZE)),
+            ['1,0', '2,0', '2,-1', '3,-1']);
+    });
+});
@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createBoardGeometry } from '../utils/boardGeometry.js';
+import { BoardModel } from '../utils/boardModel.js';
+import { SeededRandom } from '../utils/seededRandom.js';
+
+// Returns a filled board. 'layout' fixes the colors of its cells, see BoardModel.
+function createBoard({ width = 6, height = 8, colorCount = 5, layout = null, geometry = 'hex', seed = 1 } = {}) {
+    const boardModel = new BoardModel({
+        width, height, colorCount, layout, geometry: createBoardGeometry(geometry), random: new SeededRandom(seed),
+    });
+    boardModel.fill();
+    return boardModel;
+}
+
+function getCells(boardModel, positions) {
+    return positions.map(([x, y]) => boardModel.getCell(x, y));
+}
+
+describe('BoardModel adjacency', () => {
+    it('connects a cell of an even hex row to the cells on its right below and above it', () => {
+        const boardModel = createBoard();
+        const cell = boardModel.getCell(1, 2);
+        const neighbours = boardModel.getNeighbours(cell).map(({ x, y }) => `${x},${y}`).sort();
+        assert.deepEqual(neighbours, ['0,2', '1,1', '1,3', '2,1', '2,2', '2,3']);
+        assert.equal(boardModel.areAdjacent(cell, boardModel.getCell(0, 1)), false);
+    });
+
+    it('connects a cell of an odd hex row to the cells on its left below and above it', () => {
+        const boardModel = createBoard();
+        const cell = boardModel.getCell(1, 1);
+        const neighbours = boardModel.getNeighbours(cell).map(({ x, y }) => `${x},${y}`).sort();
+        assert.deepEqual(neighbours, ['0,0', '0,1', '0,2', '1,0', '1,2', '2,1']);
+    });
+
+    it('leaves out neighbours outside of the board', () => {
+        const boardModel = createBoard();
+        assert.equal(boardModel.getNeighbours(boardModel.getCell(0, 0)).length, 3);
+    });
+
+    it('only connects orthogonal cells on a square board', () => {
+        const boardModel = createBoard({ geometry: 'square' });
+        const cell = boardModel.getCell(2, 2);
+        assert.equal(boardModel.areAdjacent(cell, boardModel.getCell(2, 1)), true);
+        assert.equal(boardModel.areAdjacent(cell, boardModel.getCell(3, 2)), true);
+        assert.equal(boardModel.areAdjacent(cell, boardModel.getCell(3, 3)), false);
+    });
+});
+
+describe('BoardModel.isLoop', () => {
+    it('recognises a closed triangle on a hex board', () => {
+        const boardModel = createBoard({ width: 3, height: 3, layout: ['000', '000', '000'] });
+        const chain = getCells(boardModel, [[0, 0], [1, 0], [1, 1], [0, 0]]);
+        assert.equal(boardModel.isLoop(chain), true);
+        assert.equal(boardModel.isValidChain(chain), true);
+    });
+
+    it('does not count going back to the previous cell as a loop', () => {
+        const boardModel = createBoard({ width: 3, height: 3, layout: ['000', '000', '000'] });
+        assert.equal(boardModel.isLoop(getCells(boardModel, [[0, 0], [1, 0], [0, 0]])), false);
+    });
+
+    it('does not count an open chain as a loop', () => {
+        const boardModel = createBoard({ width: 3, height: 3, layout: ['000', '000', '000'] });
+        assert.equal(boardModel.isLoop(getCells(boardModel, [[0, 0], [1, 0], [2, 0]])), false);
+    });
+
+    it('needs four cells for a loop on a square board', () => {
+        const boardModel = createBoard({ width: 2, height: 2, colorCount: 1, layout: ['00', '00'], geometry: 'square' });
+        const chain = getCells(boardModel, [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]);
+        assert.equal(boardModel.isLoop(chain), true);
+        assert.equal(boardModel.isValidChain(chain), true);
+    });
+});
+
+describe('BoardModel seeded clears and refills', () => {
+    const playClears = (seed) => {
+        const boardModel = createBoard({ seed });
+        const updates = [];
+        for (let round = 0; round < 5; round++) {
+            const cells = [boardModel.getCell(round, 7), boardModel.getCell(round, 6), boardModel.getCell(round + 1, 7)];
+            updates.push(boardModel.clearCells(cells).map(({ x, added }) => ({ x, colors: added.map(({ cell }) => cell.color) })));
+        }
+        return { cells: boardModel.getCellData(), updates };
+    };
+
+    it('creates the same board from the same seed', () => {
+        assert.deepEqual(createBoard({ seed: 42 }).getCellData(), createBoard({ seed: 42 }).getCellData());
+    });
+
+    it('refills the same dots after the same clears', () => {
+        assert.deepEqual(playClears(7), playClears(7));
+    });
+
+    it('creates a different board from another seed', () => {
+        assert.notDeepEqual(createBoard({ seed: 1 }).getCellData(), createBoard({ seed: 2 }).getCellData());
+    });
+
+    it('lets the cells above a cleared cell fall into its place', () => {
+        const boardModel = createBoard({ seed: 3 });
+        const above = boardModel.getCell(2, 6);
+        boardModel.clearCells([boardModel.getCell(2, 7)]);
+        assert.equal(boardModel.getCell(2, 7), above);
+        assert.equal(above.y, 7);
+        assert.equal(boardModel.getCellData()[2].length, 8);
+    });
+});
+
+describe('BoardModel.shuffle', () => {
+    it('always leaves a valid move', () => {
+        for (let seed = 1; seed <= 50; seed++) {
+            const boardModel = createBoard({ seed, colorCount: 8 });
+            boardModel.shuffle();
+            assert.equal(boardModel.hasValidMove(), true, `seed ${seed}`);
+        }
+    });
+
+    it('creates a move on a board that has none', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            const boardModel = createBoard({ width: 4, height: 2, colorCount: 2, layout: ['0101', '1010'], geometry: 'square', seed });
+            assert.equal(boardModel.hasValidMove(), false);
+            boardModel.shuffle();
+            assert.equal(boardModel.hasValidMove(), true, `seed ${seed}`);
+        }
+    });
+
+    it('keeps every cell and updates their positions', () => {
+        const boardModel = createBoard({ seed: 5 });
+        const ids = boardModel.getAllCells().map(cell => cell.id).sort((a, b) => a - b);
+        boardModel.shuffle();
+        assert.deepEqual(boardModel.getAllCells().map(cell => cell.id).sort((a, b) => a - b), ids);
+        boardModel.getAllCells().forEach((cell) => {
+            assert.equal(boardModel.getCell(cell.x, cell.y), cell);
+        });
+    });
+});
+
+describe('BoardModel special dots', () => {
+    it('drops landed anchors without refilling new ones, even when every refill is an anchor', () => {
+        const boardModel = new BoardModel({
+            width: 3, height: 3, colorCount: 2, specialDotRates: { anchor: 1 }, random: new SeededRandom(4),
+        });
+        boardModel.fill();
+        boardModel.clearCells([boardModel.getCell(0, 0), boardModel.getCell(0, 1), boardModel.getCell(0, 2)]);
+        const drops = boardModel.dropLandedAnchors();
+        assert.equal(drops.length, 3);
+        assert.equal(boardModel.getAllCells().some(cell => cell.type === 'anchor'), false);
+    });
+
+    it('only creates the known special dot types', () => {
+        const boardModel = createBoard({ seed: 6 });
+        boardModel.specialDotRates = { rock: 0.5, bomb: 0.5 };
+        const types = Array.from({ length: 50 }, () => boardModel.pickDotType());
+        assert.deepEqual([...new Set(types)].sort(), ['bomb', 'normal']);
+    });
+});
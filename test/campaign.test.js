@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { LEVEL_DIRECTORY, parseLevel } from '../utils/campaign.js';
+
+const readLevel = fileName => JSON.parse(readFileSync(new URL(`../${LEVEL_DIRECTORY}/${fileName}`, import.meta.url), 'utf8'));
+
+describe('parseLevel', () => {
+    it('accepts every level of the campaign', () => {
+        readLevel('index.json').forEach((fileName) => {
+            assert.doesNotThrow(() => parseLevel(readLevel(fileName), fileName));
+        });
+    });
+
+    it('rejects special dot rates that are unknown, out of range or add up to 1', () => {
+        const level = readLevel('06-dropping-anchors.json');
+        [{ anchor: 1 }, { rock: 0.1 }, { bomb: -0.1 }, { bomb: '0.1' }, { bomb: 0.5, wildcard: 0.5 }, [0.1]].forEach((specialDotRates) => {
+            assert.throws(() => parseLevel({ ...level, specialDotRates }, 'test.json'), /^Error: Level test\.json: "specialDotRates"/);
+        });
+    });
+});
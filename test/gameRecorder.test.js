@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BoardModel } from '../utils/boardModel.js';
+import { GameRecorder, REPLAY_VERSION } from '../utils/gameRecorder.js';
+import { findBestMove } from '../utils/moveFinder.js';
+import { ReplayPlayer } from '../utils/replayPlayer.js';
+import { ComboTracker, createScoringRules } from '../utils/scoring.js';
+import { SeededRandom } from '../utils/seededRandom.js';
+
+const CONFIG = { width: 6, height: 8, colorCount: 5, bonusChainLength: 10 };
+const SEED = 5;
+// The game times the recorded chains are committed at. Some are close enough to continue a combo.
+const CHAIN_TIMES = [800, 1900, 3300, 6500, 7000, 7600, 12000];
+// The replay is played in frames of this many milliseconds, so replayed chains are committed up to
+// a frame after their recorded time.
+const FRAME_TIME = 17;
+
+function createBoardModel() {
+    const boardModel = new BoardModel({ ...CONFIG, random: new SeededRandom(SEED) });
+    boardModel.fill();
+    return boardModel;
+}
+
+// Clears 'chain' and scores it at 'time' the way the scene does.
+function commitChain(game, chain, time) {
+    const cellsToClear = game.boardModel.getCellsToClear(chain);
+    const isLoop = game.boardModel.isLoop(chain);
+    const comboMultiplier = game.combo.getMultiplier(time);
+    game.score += game.scoringRules.scoreChain(cellsToClear, isLoop, comboMultiplier).points;
+    game.combo.recordClear(time);
+    game.boardModel.clearCells(cellsToClear);
+    return isLoop;
+}
+
+function createGame() {
+    const scoringRules = createScoringRules(CONFIG);
+    return { boardModel: createBoardModel(), scoringRules, combo: new ComboTracker(scoringRules.combo), score: 0 };
+}
+
+function recordGame() {
+    const game = createGame();
+    const recorder = new GameRecorder({ seed: SEED, modeId: 'moves', config: CONFIG });
+    CHAIN_TIMES.forEach((time) => {
+        const { chain } = findBestMove(game.boardModel);
+        const isLoop = commitChain(game, chain, time);
+        recorder.recordChain(chain, isLoop, time);
+    });
+    recorder.finish(CHAIN_TIMES[CHAIN_TIMES.length - 1] + 1000);
+    return { game, replay: JSON.parse(JSON.stringify(recorder.toJSON())) };
+}
+
+// Plays 'replay' with a ReplayPlayer on a scene without Phaser, frame by frame. The board selects
+// the chains of the replay and commits them at the time the scene scores chains at.
+function playReplay(replay) {
+    const game = createGame();
+    let selectedCells = [];
+    const board = {
+        boardModel: game.boardModel,
+        boardRefillHappening: false,
+        getCircleForCell: cell => cell,
+        addCircleToSelectedChain: cell => selectedCells.push(cell),
+        handleLoopCreated: cell => selectedCells.push(cell),
+        commitSelectedChain: () => {
+            const chainTime = player.commitTime !== null ? player.commitTime : scene.elapsed;
+            commitChain(game, selectedCells, chainTime);
+            selectedCells = [];
+        },
+    };
+    const scene = { activeBoard: board, elapsed: 0, isOver: false, endGame: () => { scene.isOver = true; } };
+    const player = new ReplayPlayer(scene, GameRecorder.parseReplay(replay));
+    while (!scene.isOver) {
+        scene.elapsed += FRAME_TIME;
+        player.update(scene.elapsed);
+    }
+    return game;
+}
+
+describe('GameRecorder', () => {
+    it('replays a recorded game to the same board and score', () => {
+        const { game, replay } = recordGame();
+        const replayed = playReplay(replay);
+        assert.equal(replayed.score, game.score);
+        assert.deepEqual(replayed.boardModel.getCellData(), game.boardModel.getCellData());
+    });
+
+    it('scores combos of replayed chains at their recorded time', () => {
+        const { replay } = recordGame();
+        // A chain recorded at the very end of the combo window of the previous one. The previous
+        // chain is committed right on a frame, this one almost a frame after its recorded time.
+        replay.moves[0].time = 50 * FRAME_TIME;
+        replay.moves[1].time = replay.moves[0].time + createScoringRules(CONFIG).combo.window;
+        const recordedScore = (() => {
+            const game = createGame();
+            replay.moves.forEach(({ chain, time }) => {
+                commitChain(game, chain.map(([x, y]) => game.boardModel.getCell(x, y)), time);
+            });
+            return game.score;
+        })();
+        assert.equal(playReplay(replay).score, recordedScore);
+    });
+});
+
+describe('GameRecorder.parseReplay', () => {
+    const { replay } = recordGame();
+    const move = replay.moves[0];
+
+    it('accepts a recorded game', () => {
+        assert.equal(GameRecorder.parseReplay(replay), replay);
+    });
+
+    it('rejects files that are not replays or of another version', () => {
+        assert.throws(() => GameRecorder.parseReplay(null), /Not a valid replay file/);
+        assert.throws(() => GameRecorder.parseReplay('replay'), /Not a valid replay file/);
+        assert.throws(() => GameRecorder.parseReplay({ ...replay, version: REPLAY_VERSION + 1 }),
+            new RegExp(`Unsupported replay version: ${REPLAY_VERSION + 1}`));
+    });
+
+    it('rejects damaged fields and moves', () => {
+        [
+            { seed: '5' },
+            { mode: null },
+            { config: undefined },
+            { moves: {} },
+            { moves: [{ ...move, chain: [[0, 0]] }] },
+            { moves: [{ ...move, chain: [[0, 0], [0, 1.5]] }] },
+            { moves: [{ ...move, loop: 'no' }] },
+            { moves: [{ ...move, time: null }] },
+            { moves: [null] },
+        ].forEach((changes) => {
+            assert.throws(() => GameRecorder.parseReplay({ ...replay, ...changes }), /Not a valid replay file/,
+                JSON.stringify(changes));
+        });
+    });
+});
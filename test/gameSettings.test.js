@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as Constants from '../constants/constants.js';
+import { GameSettings, HINT_DELAYS } from '../utils/gameSettings.js';
+import { MemoryStorage } from '../utils/storage.js';
+
+describe('GameSettings hint delay', () => {
+    it('starts out at HINT_IDLE_TIME and falls back to it for unknown delays', () => {
+        assert.equal(new GameSettings(new MemoryStorage()).hintDelay, Constants.HINT_IDLE_TIME);
+        const storage = new MemoryStorage();
+        storage.setItem('dots.settings', JSON.stringify({ hintDelay: 1234 }));
+        assert.equal(new GameSettings(storage).hintDelay, Constants.HINT_IDLE_TIME);
+    });
+
+    it('steps through the HINT_DELAYS down to off and keeps the choice', () => {
+        const storage = new MemoryStorage();
+        const settings = new GameSettings(storage);
+        HINT_DELAYS.forEach(() => settings.stepHintDelay(-1));
+        assert.equal(settings.hintDelay, 0);
+        assert.equal(new GameSettings(storage).hintDelay, 0);
+        HINT_DELAYS.forEach(() => settings.stepHintDelay(1));
+        assert.equal(settings.hintDelay, HINT_DELAYS[HINT_DELAYS.length - 1]);
+    });
+
+    it('is left alone by the presets', () => {
+        const settings = new GameSettings(new MemoryStorage());
+        settings.stepHintDelay(-1);
+        const { hintDelay } = settings;
+        settings.applyPreset('hard');
+        settings.applyPreset('normal');
+        assert.equal(settings.hintDelay, hintDelay);
+        assert.equal(settings.getActivePresetId(), 'normal');
+    });
+});
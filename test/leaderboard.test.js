@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as Constants from '../constants/constants.js';
+import { Leaderboard } from '../utils/leaderboard.js';
+import { MemoryStorage } from '../utils/storage.js';
+
+const TABLE_KEY = Leaderboard.getTableKey('timed', { width: 6, height: 8, colorCount: 5 });
+
+const createEntry = (initials, score, day) => ({
+    initials, score, date: `2024-01-${String(day).padStart(2, '0')}T12:00:00.000Z`, longestChain: 4, loops: 1,
+});
+
+const createExport = tables => ({ version: 1, tables });
+
+describe('Leaderboard.importJson', () => {
+    it('merges the imported entries into the table sorted by score and then by date', () => {
+        const leaderboard = new Leaderboard(new MemoryStorage());
+        leaderboard.importJson(createExport({ [TABLE_KEY]: [createEntry('AAA', 10, 1), createEntry('BBB', 30, 2)] }));
+        leaderboard.importJson(createExport({ [TABLE_KEY]: [createEntry('CCC', 20, 3), createEntry('DDD', 30, 1)] }));
+        assert.deepEqual(leaderboard.getEntries(TABLE_KEY).map(entry => entry.initials), ['DDD', 'BBB', 'CCC', 'AAA']);
+        assert.equal(leaderboard.getHighScore(TABLE_KEY), 30);
+    });
+
+    it('keeps only the best LEADERBOARD_SIZE entries', () => {
+        const leaderboard = new Leaderboard(new MemoryStorage());
+        const entries = Array.from({ length: Constants.LEADERBOARD_SIZE + 2 }, (_, index) => createEntry('AAA', index + 1, 1));
+        leaderboard.importJson(createExport({ [TABLE_KEY]: entries }));
+        const scores = leaderboard.getEntries(TABLE_KEY).map(entry => entry.score);
+        assert.equal(scores.length, Constants.LEADERBOARD_SIZE);
+        assert.equal(scores[scores.length - 1], 3);
+    });
+
+    it('skips entries it already has and shortens the initials', () => {
+        const leaderboard = new Leaderboard(new MemoryStorage());
+        const file = createExport({ [TABLE_KEY]: [createEntry('ABCDE', 10, 1), { ...createEntry('EEE', 5, 2), loops: undefined }] });
+        leaderboard.importJson(file);
+        leaderboard.importJson(createExport({ [TABLE_KEY]: [createEntry('ABC', 10, 1)] }));
+        assert.deepEqual(leaderboard.getEntries(TABLE_KEY), [createEntry('ABC', 10, 1), { ...createEntry('EEE', 5, 2), loops: 0 }]);
+    });
+
+    it('saves the merged tables and exports them again', () => {
+        const storage = new MemoryStorage();
+        const tables = { [TABLE_KEY]: [createEntry('AAA', 10, 1)] };
+        new Leaderboard(storage).importJson(createExport(tables));
+        assert.deepEqual(new Leaderboard(storage).exportJson(), createExport(tables));
+    });
+
+    it('rejects malformed files without changing anything', () => {
+        const leaderboard = new Leaderboard(new MemoryStorage());
+        leaderboard.importJson(createExport({ [TABLE_KEY]: [createEntry('AAA', 10, 1)] }));
+        const before = leaderboard.exportJson();
+        [
+            null,
+            [],
+            { version: 2, tables: {} },
+            createExport(null),
+            createExport({ [TABLE_KEY]: 'AAA' }),
+            createExport({ [TABLE_KEY]: [{ ...createEntry('AAA', 10, 1), score: '10' }] }),
+            createExport({ other: [createEntry('BBB', 20, 1)], [TABLE_KEY]: [{ ...createEntry('BBB', 20, 1), initials: 3 }] }),
+            createExport({ [TABLE_KEY]: [{ ...createEntry('AAA', 10, 1), date: null }] }),
+        ].forEach((json) => {
+            assert.throws(() => leaderboard.importJson(json), /Not a valid leaderboard file/, JSON.stringify(json));
+        });
+        assert.deepEqual(leaderboard.exportJson(), before);
+    });
+});
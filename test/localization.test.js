@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { LOCALE_DIRECTORY, parseLocale } from '../utils/localization.js';
+
+const readLocaleFile = fileName => JSON.parse(readFileSync(new URL(`../${LOCALE_DIRECTORY}/${fileName}`, import.meta.url), 'utf8'));
+const readLocale = fileName => parseLocale(readLocaleFile(fileName), fileName);
+
+describe('locales', () => {
+    const english = readLocale('en.json');
+
+    readLocaleFile('index.json').filter(fileName => fileName !== 'en.json').forEach((fileName) => {
+        it(`${fileName} translates every string of en.json and nothing else`, () => {
+            const locale = readLocale(fileName);
+            assert.deepEqual(Object.keys(locale.strings).sort(), Object.keys(english.strings).sort());
+        });
+
+        it(`${fileName} uses the same placeholders as en.json`, () => {
+            const locale = readLocale(fileName);
+            const getPlaceholders = text => (text.match(/\{\w+\}/g) || []).sort();
+            Object.entries(english.strings).forEach(([key, text]) => {
+                assert.deepEqual(getPlaceholders(locale.strings[key] || ''), getPlaceholders(text), key);
+            });
+        });
+    });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createBoardGeometry } from '../utils/boardGeometry.js';
+import { BoardModel } from '../utils/boardModel.js';
+import { findBestLoop, findBestMove } from '../utils/moveFinder.js';
+import { SeededRandom } from '../utils/seededRandom.js';
+
+function createBoard(layout, geometry) {
+    const boardModel = new BoardModel({
+        width: layout[0].length,
+        height: layout.length,
+        colorCount: 8,
+        layout,
+        geometry: createBoardGeometry(geometry),
+        random: new SeededRandom(1),
+    });
+    boardModel.fill();
+    return boardModel;
+}
+
+describe('findBestLoop', () => {
+    it('finds a loop on a square8 board that passes through a smaller cycle', () => {
+        const boardModel = createBoard(['0012', '3004', '5676'], 'square8');
+        const loop = findBestLoop(boardModel);
+        assert.notEqual(loop, null);
+        assert.equal(boardModel.isValidChain(loop.chain), true);
+        assert.equal(boardModel.isLoop(loop.chain), true);
+        assert.equal(loop.cellsCleared, 4);
+    });
+
+    it('does not take a cycle of three cells for a loop on a square8 board', () => {
+        const boardModel = createBoard(['0012', '3045', '6712'], 'square8');
+        assert.equal(findBestLoop(boardModel), null);
+    });
+
+    it('finds a loop of three cells on a hex board', () => {
+        const boardModel = createBoard(['0012', '3045', '6712'], 'hex');
+        const loop = findBestLoop(boardModel);
+        assert.notEqual(loop, null);
+        assert.equal(boardModel.isValidChain(loop.chain), true);
+        assert.equal(boardModel.isLoop(loop.chain), true);
+    });
+});
+
+describe('findBestMove', () => {
+    it('prefers a loop that clears every dot of its color', () => {
+        const boardModel = createBoard(['0012', '3004', '5670'], 'square8');
+        const move = findBestMove(boardModel);
+        assert.equal(move.isLoop, true);
+        assert.equal(move.cellsCleared, 5);
+    });
+});
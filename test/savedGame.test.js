@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BoardModel } from '../utils/boardModel.js';
+import { parseSavedGame, SAVED_GAME_VERSION, SavedGameStore } from '../utils/savedGame.js';
+import { SeededRandom } from '../utils/seededRandom.js';
+import { MemoryStorage } from '../utils/storage.js';
+
+// Returns the board of a game that had one chain cleared.
+function playFirstChain() {
+    const boardModel = new BoardModel({ width: 4, height: 5, colorCount: 3, random: new SeededRandom(9) });
+    boardModel.fill();
+    boardModel.clearCells([boardModel.getCell(1, 4), boardModel.getCell(2, 4)]);
+    return boardModel;
+}
+
+// Returns a save of the game of playFirstChain, the way the scene stores it.
+function createSavedGame() {
+    const boardModel = playFirstChain();
+    return {
+        mode: 'timed',
+        levelId: null,
+        seed: 9,
+        randomState: boardModel.random.getState(),
+        config: { width: 4, height: 5, colorCount: 3, specialDotRates: {} },
+        colors: boardModel.colors,
+        cells: boardModel.getCellData(),
+        nextCellId: boardModel.nextCellId,
+        score: 2,
+        elapsed: 3000,
+        modeState: { remaining: 57000 },
+        stats: { chains: 1 },
+        hintsUsed: 0,
+        replay: null,
+    };
+}
+
+describe('SavedGameStore', () => {
+    it('loads the game it saved', () => {
+        const store = new SavedGameStore(new MemoryStorage());
+        const savedGame = createSavedGame();
+        store.save(savedGame);
+        assert.equal(store.hasSave(), true);
+        assert.deepEqual(store.load(), { ...savedGame, version: SAVED_GAME_VERSION });
+    });
+
+    it('continues the board and its refills where the save left off', () => {
+        const savedGame = parseSavedGame(JSON.parse(JSON.stringify({ ...createSavedGame(), version: SAVED_GAME_VERSION })));
+        const continued = new BoardModel({ width: 4, height: 5, colors: savedGame.colors, random: new SeededRandom(savedGame.seed) });
+        continued.restore(savedGame.cells, savedGame.nextCellId);
+        continued.random.setState(savedGame.randomState);
+        const playedOn = playFirstChain();
+        assert.deepEqual(continued.getCellData(), savedGame.cells);
+        playedOn.clearCells([playedOn.getCell(0, 4)]);
+        continued.clearCells([continued.getCell(0, 4)]);
+        assert.deepEqual(continued.getCellData(), playedOn.getCellData());
+    });
+
+    it('throws away a save that can not be continued', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const storage = new MemoryStorage();
+        const store = new SavedGameStore(storage);
+        storage.setItem('dots.savedGame', JSON.stringify({ ...createSavedGame(), version: SAVED_GAME_VERSION + 1 }));
+        assert.equal(store.load(), null);
+        assert.equal(storage.getItem('dots.savedGame'), null);
+    });
+});
+
+describe('parseSavedGame', () => {
+    const createJson = changes => ({ ...createSavedGame(), version: SAVED_GAME_VERSION, ...changes });
+
+    it('rejects anything that is not a saved game', () => {
+        [null, 'save', {}, { version: '1' }].forEach((json) => {
+            assert.throws(() => parseSavedGame(json), /Not a saved game/);
+        });
+    });
+
+    it('rejects versions without a migration', () => {
+        assert.throws(() => parseSavedGame(createJson({ version: 0 })), /Unsupported saved game version: 0/);
+        assert.throws(() => parseSavedGame(createJson({ version: SAVED_GAME_VERSION + 1 })), /Unsupported/);
+    });
+
+    it('rejects damaged fields', () => {
+        const { cells } = createSavedGame();
+        const damagedCell = column => column.map((cell, y) => (y === 0 ? { ...cell, type: 'rock' } : cell));
+        [
+            { mode: 3 },
+            { seed: 1.5 },
+            { randomState: undefined },
+            { config: null },
+            { colors: 'all' },
+            { cells: cells.slice(1) },
+            { cells: cells.map(column => column.slice(1)) },
+            { cells: cells.map(damagedCell) },
+            { cells: cells.map(column => column.map(cell => ({ ...cell, color: 7 }))) },
+            { nextCellId: '20' },
+            { score: NaN },
+            { elapsed: null },
+            { stats: undefined },
+        ].forEach((changes) => {
+            assert.throws(() => parseSavedGame(createJson(changes)), /The saved game is damaged/, JSON.stringify(Object.keys(changes)));
+        });
+    });
+});
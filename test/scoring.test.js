@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as Constants from '../constants/constants.js';
+import { ComboTracker, createScoringRules, ScoringRules } from '../utils/scoring.js';
+
+const createCells = (count, color = 0) => Array.from({ length: count }, () => ({ color }));
+
+describe('ScoringRules', () => {
+    const rules = createScoringRules({ bonusChainLength: Constants.BONUS_CHAIN_LENGTH });
+
+    it('scores one point per dot below the bonus chain length', () => {
+        const { points, multiplier } = rules.scoreChain(createCells(Constants.BONUS_CHAIN_LENGTH - 1), false);
+        assert.equal(points, Constants.BONUS_CHAIN_LENGTH - 1);
+        assert.equal(multiplier, 1);
+    });
+
+    it('doubles the points of a chain that reaches the bonus chain length', () => {
+        const { points, tierMultiplier } = rules.scoreChain(createCells(Constants.BONUS_CHAIN_LENGTH), false);
+        assert.equal(tierMultiplier, 2);
+        assert.equal(points, Constants.BONUS_CHAIN_LENGTH * 2);
+    });
+
+    it('adds the loop bonus before the multipliers', () => {
+        const loopRules = new ScoringRules({ loopBonus: 5, chainTiers: [{ minDots: 4, multiplier: 2 }] });
+        assert.equal(loopRules.scoreChain(createCells(4), true).points, (4 + 5) * 2);
+        assert.equal(loopRules.scoreChain(createCells(4), false).points, 4 * 2);
+    });
+
+    it('weighs dots by their color and counts special dots without a color as 1', () => {
+        const weightedRules = new ScoringRules({ colorWeights: [1, 3] });
+        assert.equal(weightedRules.scoreChain([{ color: 1 }, { color: 1 }, { color: null }], false).points, 7);
+    });
+
+    it('stacks the tier and combo multipliers and rounds the points', () => {
+        const { multiplier, points } = rules.scoreChain(createCells(Constants.BONUS_CHAIN_LENGTH + 1), false, 1.5);
+        assert.equal(multiplier, 3);
+        assert.equal(points, (Constants.BONUS_CHAIN_LENGTH + 1) * 3);
+        assert.equal(new ScoringRules().scoreChain(createCells(3), false, 1.5).points, 5);
+    });
+});
+
+describe('ComboTracker', () => {
+    const createTracker = () => new ComboTracker({ window: 2000, step: 0.5, maxMultiplier: 2 });
+
+    it('raises the multiplier of chains cleared within the window up to the maximum', () => {
+        const tracker = createTracker();
+        assert.deepEqual([0, 1000, 2500, 4000].map(time => tracker.recordClear(time)), [1, 1.5, 2, 2]);
+    });
+
+    it('starts over once the window has passed', () => {
+        const tracker = createTracker();
+        tracker.recordClear(0);
+        tracker.recordClear(1000);
+        assert.equal(tracker.getMultiplier(3000), 2);
+        assert.equal(tracker.getMultiplier(3001), 1);
+        assert.equal(tracker.recordClear(3001), 1);
+        assert.equal(tracker.getMultiplier(4000), 1.5);
+    });
+});
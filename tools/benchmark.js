@@ -0,0 +1,219 @@
+// Plays thousands of headless games with the bot strategies to compare game balance between board
+// configurations. Every combination of board size, color count, bonus chain length and strategy
+// plays the same seeds, and the report lists the score distribution, how often loops were played
+// and how often the board ran out of moves for each of them. The options are listed in USAGE.
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import * as Constants from '../constants/constants.js';
+import { BOARD_GEOMETRIES } from '../utils/boardGeometry.js';
+import { BOT_STRATEGIES, createBotStrategy } from '../utils/botStrategies.js';
+import { playHeadlessGame } from '../utils/headlessGame.js';
+
+const HISTOGRAM_BUCKETS = 10;
+
+const USAGE = `Usage: npm run benchmark -- [options]
+
+Example: npm run benchmark -- --games 2000 --sizes 6x8,8x10 --colors 4,5,6 --format csv --out results.csv
+
+  --games        games per configuration and strategy (1000)
+  --moves        chains per game (${Constants.MOVES_LIMIT})
+  --seed         seed of the first game, the following games count up from it (1)
+  --strategies   comma separated ids of ${BOT_STRATEGIES.map(strategy => strategy.id).join(', ')} (all of them)
+  --sizes        comma separated board sizes as WIDTHxHEIGHT (${Constants.GRID_WIDTH}x${Constants.GRID_HEIGHT})
+  --colors       comma separated color counts (${Constants.CIRCLE_COLORS})
+  --bonus        comma separated bonus chain lengths (${Constants.BONUS_CHAIN_LENGTH})
+  --geometry     comma separated ids of ${BOARD_GEOMETRIES.map(geometry => geometry.id).join(', ')} (hex)
+  --special-dots spawn special dots at the SPECIAL_DOT_RATES, without it there are none
+  --format       json or csv (json)
+  --out          file to write the report to instead of printing it
+  --help         show this help`;
+
+const OPTIONS = {
+    games: { type: 'string', default: '1000' },
+    moves: { type: 'string', default: String(Constants.MOVES_LIMIT) },
+    seed: { type: 'string', default: '1' },
+    strategies: { type: 'string', default: BOT_STRATEGIES.map(strategy => strategy.id).join(',') },
+    sizes: { type: 'string', default: `${Constants.GRID_WIDTH}x${Constants.GRID_HEIGHT}` },
+    colors: { type: 'string', default: String(Constants.CIRCLE_COLORS) },
+    bonus: { type: 'string', default: String(Constants.BONUS_CHAIN_LENGTH) },
+    geometry: { type: 'string', default: 'hex' },
+    'special-dots': { type: 'boolean', default: false },
+    format: { type: 'string', default: 'json' },
+    out: { type: 'string' },
+    help: { type: 'boolean', default: false },
+};
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// Unknown options and options without their value end the script with the usage.
+function parseOptions() {
+    try {
+        return parseArgs({ options: OPTIONS }).values;
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`);
+    }
+}
+
+const options = parseOptions();
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+function parseList(value, parseItem) {
+    return value.split(',').map(item => parseItem(item.trim()));
+}
+
+function parsePositiveInteger(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        fail(`Expected a positive whole number, got "${value}".`);
+    }
+    return number;
+}
+
+function parseSize(value) {
+    const match = /^(\d+)x(\d+)$/.exec(value);
+    if (!match) {
+        fail(`Expected a board size like 6x8, got "${value}".`);
+    }
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+// Returns the value at 'fraction' of the sorted 'values'.
+function percentile(sortedValues, fraction) {
+    return sortedValues[Math.min(sortedValues.length - 1, Math.floor(fraction * sortedValues.length))];
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function describeScores(scores) {
+    const sorted = [...scores].sort((a, b) => a - b);
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const bucketSize = Math.max(1, Math.ceil((max - min + 1) / HISTOGRAM_BUCKETS));
+    const histogram = [];
+    for (let from = min; from <= max; from += bucketSize) {
+        const to = from + bucketSize - 1;
+        histogram.push({ from, to, count: scores.filter(score => score >= from && score <= to).length });
+    }
+    return {
+        mean: round(mean),
+        stddev: round(Math.sqrt(variance)),
+        min,
+        p10: percentile(sorted, 0.1),
+        p25: percentile(sorted, 0.25),
+        median: percentile(sorted, 0.5),
+        p75: percentile(sorted, 0.75),
+        p90: percentile(sorted, 0.9),
+        max,
+        histogram,
+    };
+}
+
+function runBenchmark(config, strategyId, { games, moves, seed }) {
+    const strategy = createBotStrategy(strategyId);
+    const results = [];
+    for (let game = 0; game < games; game++) {
+        results.push(playHeadlessGame({ config, seed: seed + game, strategy, moves }));
+    }
+    const sum = name => results.reduce((total, result) => total + result[name], 0);
+    const movesPlayed = sum('moves');
+    return {
+        config,
+        strategy: strategyId,
+        games,
+        moves: movesPlayed,
+        score: describeScores(results.map(result => result.score)),
+        averageDotsCleared: round(sum('dotsCleared') / games),
+        loopFrequency: round(sum('loops') / movesPlayed),
+        gamesWithLoop: round(results.filter(result => result.loops > 0).length / games),
+        bonusChainFrequency: round(sum('bonusChains') / movesPlayed),
+        deadBoardFrequency: round(sum('deadBoards') / movesPlayed),
+        gamesWithDeadBoard: round(results.filter(result => result.deadBoards > 0).length / games),
+    };
+}
+
+const CSV_COLUMNS = [
+    ['strategy', report => report.strategy],
+    ['geometry', report => report.config.geometry],
+    ['width', report => report.config.width],
+    ['height', report => report.config.height],
+    ['colors', report => report.config.colorCount],
+    ['bonusChainLength', report => report.config.bonusChainLength],
+    ['specialDots', report => Object.keys(report.config.specialDotRates).length > 0],
+    ['games', report => report.games],
+    ['moves', report => report.moves],
+    ...['mean', 'stddev', 'min', 'p10', 'p25', 'median', 'p75', 'p90', 'max'].map(name => [`score_${name}`, report => report.score[name]]),
+    ['averageDotsCleared', report => report.averageDotsCleared],
+    ['loopFrequency', report => report.loopFrequency],
+    ['gamesWithLoop', report => report.gamesWithLoop],
+    ['bonusChainFrequency', report => report.bonusChainFrequency],
+    ['deadBoardFrequency', report => report.deadBoardFrequency],
+    ['gamesWithDeadBoard', report => report.gamesWithDeadBoard],
+];
+
+function toCsv(reports) {
+    const rows = reports.map(report => CSV_COLUMNS.map(([, getValue]) => getValue(report)).join(','));
+    return [CSV_COLUMNS.map(([name]) => name).join(','), ...rows].join('\n') + '\n';
+}
+
+const run = {
+    games: parsePositiveInteger(options.games),
+    moves: parsePositiveInteger(options.moves),
+    seed: parsePositiveInteger(options.seed),
+};
+const strategyIds = parseList(options.strategies, (id) => {
+    if (!BOT_STRATEGIES.some(strategy => strategy.id === id)) {
+        fail(`Unknown strategy "${id}", expected one of ${BOT_STRATEGIES.map(strategy => strategy.id).join(', ')}.`);
+    }
+    return id;
+});
+if (!['json', 'csv'].includes(options.format)) {
+    fail(`Unknown format "${options.format}", expected json or csv.`);
+}
+
+const configs = [];
+parseList(options.geometry, (id) => {
+    if (!BOARD_GEOMETRIES.some(geometry => geometry.id === id)) {
+        fail(`Unknown geometry "${id}", expected one of ${BOARD_GEOMETRIES.map(geometry => geometry.id).join(', ')}.`);
+    }
+    return id;
+}).forEach((geometry) => {
+    parseList(options.sizes, parseSize).forEach(({ width, height }) => {
+        parseList(options.colors, parsePositiveInteger).forEach((colorCount) => {
+            parseList(options.bonus, parsePositiveInteger).forEach((bonusChainLength) => {
+                configs.push({
+                    width,
+                    height,
+                    colorCount,
+                    bonusChainLength,
+                    geometry,
+                    specialDotRates: options['special-dots'] ? Constants.SPECIAL_DOT_RATES : {},
+                });
+            });
+        });
+    });
+});
+
+const reports = [];
+configs.forEach((config) => {
+    strategyIds.forEach((strategyId) => {
+        console.error(`${strategyId} on ${config.geometry} ${config.width}x${config.height}, ${config.colorCount} colors, bonus ${config.bonusChainLength}...`);
+        reports.push(runBenchmark(config, strategyId, run));
+    });
+});
+
+const output = options.format === 'csv' ? toCsv(reports) : JSON.stringify({ ...run, reports }, null, 2) + '\n';
+if (options.out) {
+    writeFileSync(options.out, output);
+} else {
+    process.stdout.write(output);
+}
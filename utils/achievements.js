@@ -0,0 +1,183 @@
+import { GAME_EVENTS } from './gameEvents.js';
+import { TimedMode } from './gameModes.js';
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const ACHIEVEMENTS_KEY = 'dots.achievements';
+const ACHIEVEMENTS_VERSION = 1;
+
+// The achievements, in the order they are listed on the achievements screen. Each one is reached
+// once 'measure' returns at least its 'target'. Both are worked out from { game, totals }: 'game'
+// is what happened in the current game so far (see AchievementTracker.startGame) and 'totals' are
+// counted over every game ever played. A 'target' that depends on the game is a function.
+export const ACHIEVEMENTS = [
+    {
+        id: 'firstLoop',
+        label: 'achievements.firstLoop.label',
+        description: 'achievements.firstLoop.description',
+        target: 1,
+        measure: ({ totals }) => totals.loops,
+    },
+    {
+        id: 'chain15',
+        label: 'achievements.chain15.label',
+        description: 'achievements.chain15.description',
+        target: 15,
+        measure: ({ game }) => game.longestChain,
+    },
+    {
+        id: 'allColors',
+        label: 'achievements.allColors.label',
+        description: 'achievements.allColors.description',
+        target: ({ game }) => game.colors.length,
+        measure: ({ game }) => game.colors.filter(color => game.colorsCleared.has(color)).length,
+    },
+    {
+        id: 'timed300',
+        label: 'achievements.timed300.label',
+        description: 'achievements.timed300.description',
+        target: 300,
+        measure: ({ game }) => (game.modeId === TimedMode.id ? game.score : 0),
+    },
+    {
+        id: 'combo3',
+        label: 'achievements.combo3.label',
+        description: 'achievements.combo3.description',
+        target: 3,
+        measure: ({ game }) => (game.bestCombo > 1 ? game.bestCombo : 0),
+    },
+    {
+        id: 'loops50',
+        label: 'achievements.loops50.label',
+        description: 'achievements.loops50.description',
+        target: 50,
+        measure: ({ totals }) => totals.loops,
+    },
+    {
+        id: 'dots1000',
+        label: 'achievements.dots1000.label',
+        description: 'achievements.dots1000.description',
+        target: 1000,
+        measure: ({ totals }) => totals.dotsCleared,
+    },
+    {
+        id: 'games10',
+        label: 'achievements.games10.label',
+        description: 'achievements.games10.description',
+        target: 10,
+        measure: ({ totals }) => totals.gamesFinished,
+    },
+];
+
+// The AchievementTracker class follows the games played on the scene's GameEventBus and unlocks
+// the ACHIEVEMENTS as they are reached. The unlocked achievements, the best progress towards the
+// others and the totals they are counted from are persisted between sessions. 'onUnlock' is called
+// with every achievement the moment it is unlocked. It has no dependency on Phaser.
+export class AchievementTracker {
+    constructor({ onUnlock = () => {} } = {}, storage = createStorage()) {
+        this.onUnlock = onUnlock;
+        this.storage = storage;
+        const data = loadJson(this.storage, ACHIEVEMENTS_KEY, null);
+        const isValid = data && data.version === ACHIEVEMENTS_VERSION;
+        // 'unlocked' maps the id of every unlocked achievement to the time it was unlocked,
+        // 'progress' the others to the best { value, target } reached so far.
+        this.unlocked = isValid && typeof data.unlocked === 'object' ? data.unlocked : {};
+        this.progress = isValid && typeof data.progress === 'object' ? data.progress : {};
+        this.totals = { loops: 0, dotsCleared: 0, gamesFinished: 0, ...(isValid ? data.totals : {}) };
+        this.game = null;
+    }
+
+    save() {
+        saveJson(this.storage, ACHIEVEMENTS_KEY, {
+            version: ACHIEVEMENTS_VERSION, unlocked: this.unlocked, progress: this.progress, totals: this.totals,
+        });
+    }
+
+    // Subscribes to the events of 'gameEvents'. Games for which 'isCounted' returns false, such as
+    // replays and games the bot played, do not count towards any achievement.
+    observe(gameEvents, isCounted = () => true) {
+        gameEvents.on(GAME_EVENTS.GAME_STARTED, ({ modeId, colors }) => this.startGame(modeId, colors));
+        gameEvents.on(GAME_EVENTS.CHAIN_COMMITTED, (payload) => {
+            if (isCounted()) {
+                this.recordChain(payload);
+            }
+        });
+        gameEvents.on(GAME_EVENTS.SCORE_CHANGED, ({ score }) => {
+            if (isCounted()) {
+                this.recordScore(score);
+            }
+        });
+        gameEvents.on(GAME_EVENTS.GAME_OVER, () => {
+            if (isCounted()) {
+                this.finishGame();
+            }
+        });
+    }
+
+    // Starts following a game of the mode 'modeId' on a board of the palette indices 'colors'.
+    startGame(modeId, colors) {
+        this.game = { modeId, colors, colorsCleared: new Set(), longestChain: 0, score: 0, bestCombo: 1 };
+    }
+
+    recordChain({ chain, clearedCells, isLoop, comboMultiplier }) {
+        if (!this.game) {
+            return;
+        }
+        this.game.longestChain = Math.max(this.game.longestChain, new Set(chain).size);
+        this.game.bestCombo = Math.max(this.game.bestCombo, comboMultiplier);
+        clearedCells.forEach((cell) => {
+            if (cell.color !== null) {
+                this.game.colorsCleared.add(cell.color);
+            }
+        });
+        this.totals.loops += isLoop ? 1 : 0;
+        this.totals.dotsCleared += clearedCells.length;
+        this.update();
+    }
+
+    // 'score' is the new score of the player who scored, in a versus game the best of them counts.
+    recordScore(score) {
+        if (!this.game) {
+            return;
+        }
+        this.game.score = Math.max(this.game.score, score);
+        this.update();
+    }
+
+    finishGame() {
+        if (!this.game) {
+            return;
+        }
+        this.totals.gamesFinished += 1;
+        this.update();
+        this.game = null;
+    }
+
+    isUnlocked(achievementId) {
+        return achievementId in this.unlocked;
+    }
+
+    // Returns the best { value, target } reached towards 'achievement', null before any progress
+    // has been made. The progress of an unlocked achievement is complete.
+    getProgress(achievement) {
+        return this.progress[achievement.id] || null;
+    }
+
+    // Measures every achievement that is still locked, keeps its best progress and unlocks it once
+    // its target is reached.
+    update() {
+        const state = { game: this.game, totals: this.totals };
+        ACHIEVEMENTS.filter(achievement => !this.isUnlocked(achievement.id)).forEach((achievement) => {
+            const target = typeof achievement.target === 'function' ? achievement.target(state) : achievement.target;
+            const value = Math.min(achievement.measure(state), target);
+            const best = this.getProgress(achievement);
+            if (value > 0 && (!best || value / target > best.value / best.target)) {
+                this.progress[achievement.id] = { value, target };
+            }
+            if (value >= target) {
+                this.unlocked[achievement.id] = Date.now();
+                this.onUnlock(achievement);
+            }
+        });
+        this.save();
+    }
+}
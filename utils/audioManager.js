@@ -0,0 +1,136 @@
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const AUDIO_KEY = 'dots.audio';
+const DEFAULT_VOLUME = 0.8;
+const VOLUME_STEP = 0.1;
+
+// Dots added to a chain walk up a major pentatonic scale (in semitones above ROOT_FREQUENCY), so
+// a chain of any length sounds like a melody instead of a siren.
+const PENTATONIC_STEPS = [0, 2, 4, 7, 9];
+const ROOT_FREQUENCY = 261.63;
+const HIGHEST_CHAIN_STEP = 14;
+
+// The AudioManager plays the sound effects of the game. Every sound is synthesized with
+// oscillators of the Web Audio API, so there are no audio files to download. It uses the
+// AudioContext of Phaser's sound manager, which takes care of unlocking it on the first input
+// and suspending it while the page is hidden. When the browser has no Web Audio support the
+// game simply stays silent. The master volume and mute setting are persisted.
+export class AudioManager {
+    constructor(scene, storage = createStorage()) {
+        this.scene = scene;
+        this.storage = storage;
+        const saved = loadJson(this.storage, AUDIO_KEY, {});
+        this.volume = AudioManager.clampVolume(saved.volume);
+        this.muted = saved.muted === true;
+
+        this.context = scene.sound.context || null;
+        this.masterGain = null;
+        if (this.context) {
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            this.updateMasterGain();
+        }
+    }
+
+    static clampVolume(volume) {
+        if (!Number.isFinite(volume)) {
+            return DEFAULT_VOLUME;
+        }
+        const stepped = Number((Math.round(volume / VOLUME_STEP) * VOLUME_STEP).toFixed(2));
+        return Math.min(1, Math.max(0, stepped));
+    }
+
+    save() {
+        saveJson(this.storage, AUDIO_KEY, { volume: this.volume, muted: this.muted });
+    }
+
+    updateMasterGain() {
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.muted ? 0 : this.volume;
+        }
+    }
+
+    // Moves the master volume one step up (direction 1) or down (direction -1).
+    stepVolume(direction) {
+        this.volume = AudioManager.clampVolume(this.volume + direction * VOLUME_STEP);
+        this.updateMasterGain();
+        this.save();
+    }
+
+    toggleMute() {
+        this.muted = !this.muted;
+        this.updateMasterGain();
+        this.save();
+    }
+
+    // Returns the frequency of the note 'step' notes up the pentatonic scale from the root.
+    getScaleFrequency(step) {
+        const octave = Math.floor(step / PENTATONIC_STEPS.length);
+        const semitones = octave * 12 + PENTATONIC_STEPS[step % PENTATONIC_STEPS.length];
+        return ROOT_FREQUENCY * Math.pow(2, semitones / 12);
+    }
+
+    // This function plays a single note 'delay' seconds from now. The pitch glides from
+    // 'frequency' to 'endFrequency' while the volume fades out over 'duration' seconds.
+    playTone(frequency, { duration = 0.15, type = 'sine', delay = 0, gain = 0.3, endFrequency = frequency } = {}) {
+        if (!this.context || this.muted || this.volume === 0) {
+            return;
+        }
+        const startTime = this.context.currentTime + delay;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, startTime + duration);
+        envelope.gain.setValueAtTime(0.0001, startTime);
+        envelope.gain.exponentialRampToValueAtTime(gain, startTime + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+        oscillator.connect(envelope);
+        envelope.connect(this.masterGain);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration + 0.05);
+    }
+
+    // Played for every dot added to the chain, one note higher for each dot.
+    playDotAdded(chainLength) {
+        const step = Math.min(chainLength - 1, HIGHEST_CHAIN_STEP);
+        this.playTone(this.getScaleFrequency(step), { type: 'triangle' });
+    }
+
+    // Played when the last dot is taken off the chain, gliding down from the note of that dot.
+    playDotRemoved(chainLength) {
+        const frequency = this.getScaleFrequency(Math.min(chainLength, HIGHEST_CHAIN_STEP));
+        this.playTone(frequency, { duration: 0.12, endFrequency: frequency * 0.6, gain: 0.2 });
+    }
+
+    // A major chord with the octave on top, played when the chain closes into a loop.
+    playLoop() {
+        [0, 4, 7, 12].forEach((semitones) => {
+            const frequency = ROOT_FREQUENCY * 2 * Math.pow(2, semitones / 12);
+            this.playTone(frequency, { duration: 0.5, type: 'triangle', gain: 0.12 });
+        });
+    }
+
+    // A burst of short descending pops, more of them for bigger clears.
+    playClear(circlesCleared) {
+        const pops = Math.min(Math.max(circlesCleared, 1), 6);
+        for (let i = 0; i < pops; i++) {
+            const frequency = 700 + i * 90;
+            this.playTone(frequency, { duration: 0.1, delay: i * 0.035, endFrequency: frequency / 3, gain: 0.15 });
+        }
+    }
+
+    // A rising arpeggio, played when the chain becomes long enough to earn the bonus.
+    playBonusFanfare() {
+        [0, 4, 7, 12].forEach((semitones, index) => {
+            const frequency = ROOT_FREQUENCY * 2 * Math.pow(2, semitones / 12);
+            const isLast = index === 3;
+            this.playTone(frequency, { duration: isLast ? 0.4 : 0.15, type: 'square', delay: index * 0.09, gain: 0.08 });
+        });
+    }
+
+    // A short click for the final seconds of a countdown, higher pitched for the very last one.
+    playTick(secondsLeft) {
+        this.playTone(secondsLeft <= 1 ? 1600 : 1200, { duration: 0.05, type: 'square', gain: 0.1 });
+    }
+}
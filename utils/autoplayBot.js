@@ -0,0 +1,65 @@
+import { BOT_STRATEGIES, createBotStrategy } from './botStrategies.js';
+import { SeededRandom } from './seededRandom.js';
+
+// The time in milliseconds between two steps of the bot, a step selects one circle or commits
+// the chain.
+const STEP_DELAY = 180;
+
+// The AutoplayBot plays the running game in the scene with one of the BOT_STRATEGIES. It picks
+// a chain from the BoardModel of the active board and then enters its circles one step at a time
+// through handleCircleEntered, exactly like the pointer moving over them, before committing it. This
+// way the bot plays by the same rules (and with the same effects) as the player. Games the bot
+// took part in are marked as 'used' so that they stay off the leaderboard.
+export class AutoplayBot {
+    constructor(scene) {
+        this.scene = scene;
+        this.strategy = null;
+        this.random = new SeededRandom();
+        this.reset();
+    }
+
+    get isActive() {
+        return this.strategy !== null;
+    }
+
+    // Called at the start of every game. A bot that is still turned on plays the new game too.
+    reset() {
+        this.pendingChain = [];
+        this.timeUntilNextStep = STEP_DELAY;
+        this.used = this.isActive;
+    }
+
+    // Switches to the strategy after the current one in BOT_STRATEGIES. After the last strategy
+    // the bot is turned off. Returns the label of the new strategy, or null when turned off.
+    cycleStrategy() {
+        const index = this.strategy ? BOT_STRATEGIES.findIndex(strategy => strategy.id === this.strategy.id) : -1;
+        const Strategy = BOT_STRATEGIES[index + 1];
+        this.strategy = Strategy ? createBotStrategy(Strategy.id) : null;
+        this.pendingChain = [];
+        if (this.strategy) {
+            this.used = true;
+            return Strategy.label;
+        }
+        return null;
+    }
+
+    // This function is called every frame while a game is running.
+    update(delta) {
+        if (!this.isActive || !this.scene.isPlayerInputEnabled()) {
+            return;
+        }
+        this.timeUntilNextStep -= delta;
+        if (this.timeUntilNextStep > 0) {
+            return;
+        }
+        this.timeUntilNextStep = STEP_DELAY;
+        const board = this.scene.activeBoard;
+        if (this.pendingChain.length > 0) {
+            board.selectCircle(board.getCircleForCell(this.pendingChain.shift()));
+        } else if (board.selectedCircles.length > 0) {
+            board.commitSelectedChain();
+        } else if (!board.boardRefillHappening) {
+            this.pendingChain = this.strategy.chooseChain(board.boardModel, this.random) || [];
+        }
+    }
+}
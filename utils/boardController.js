@@ -0,0 +1,499 @@
+import * as Constants from '../constants/constants.js';
+import { GAME_EVENTS } from './gameEvents.js';
+
+// How close the pointer has to come to the center of a circle to enter it. Half a cell leaves no
+// gap between neighbouring circles, so a pointer dragged across the board never skips one.
+const POINTER_HIT_RADIUS = Constants.CELL_SIZE / 2;
+
+// The BoardController class is one board on the screen. It mirrors a BoardModel with circles,
+// lets a player build a chain on it and clears, refills and shuffles it with the effects of the
+// VisualEffectsManager. The mainScene usually runs a single board, the split screen versus mode
+// runs one board per player side by side, each 'originX' pixels from the left edge of the game.
+// Everything that is about the game rather than the board (the score, the game mode, the
+// recording) is left to the scene through its onChainCleared and addPoints functions. Points are
+// credited to 'playerIndex', which the hot seat mode changes every turn.
+export class BoardController {
+    constructor(scene, { index, boardModel, originX = 0 }) {
+        this.scene = scene;
+        this.index = index;
+        this.boardModel = boardModel;
+        this.originX = originX;
+        this.playerIndex = index;
+        this.board = [];
+        this.selectedCircles = [];
+        this.allSimilarColorCircles = null;
+        this.loopCreated = false;
+        this.boardRefillHappening = false;
+        // Counts the chains cleared from the board. The player may clear the next chain while the
+        // circles of the previous one still fall, only the latest clear unlocks the board again.
+        this.clearCount = 0;
+        // The combo multiplier the player of the board earns with the next chain, kept up to date
+        // by the scene.
+        this.comboMultiplier = 1;
+        this.isDestroyed = false;
+        this.graphics = scene.visualEffectsManager.createBoardGraphics();
+
+        // Every board follows its own pointer, the id of that pointer is kept while it is down
+        // together with its last position and the circle it is on.
+        this.pointerId = null;
+        this.pointerPosition = null;
+        this.pointerCircle = null;
+    }
+
+    // The x position of the middle of the board.
+    get centerX() {
+        return this.originX + this.scene.settings.gameWidth / 2;
+    }
+
+    // Returns whether the screen position 'x' lies on this board's part of the game.
+    containsX(x) {
+        return x >= this.originX && x < this.originX + this.scene.settings.gameWidth;
+    }
+
+    // This function is called whenever a new circle needs to be created for a 'cell' of the
+    // BoardModel. 'y' is the row the circle is drawn at, which is above the board for circles
+    // that still need to fall into place. It sets the color, cell, board and glyph attributes on
+    // the object so that they can be referenced later. The ColorScheme decides the actual color.
+    createNewCircle(cell, y = cell.y) {
+        const color = this.scene.colorScheme.getCellColor(cell);
+        const { x: posX, y: posY } = this.getCirclePosition(cell.x, y);
+
+        const radius = Constants.CELL_SIZE / 3;
+        let circle = this.scene.add.circle(posX, posY, radius, color);
+
+        circle.color = color;
+        circle.cell = cell;
+        circle.board = this;
+        circle.glyph = this.scene.visualEffectsManager.createGlyph(circle);
+        return circle;
+    }
+
+    // Returns the screen position of the circle in column 'x' and row 'y', as laid out by the
+    // board's geometry.
+    getCirclePosition(x, y) {
+        const position = this.boardModel.geometry.getCellPosition(x, y);
+        return { x: position.x + this.originX, y: position.y };
+    }
+
+    // Returns the screen positions a circle in column 'x' passes while falling from row 'fromY'
+    // to row 'toY', see BoardGeometry.getFallPath.
+    getFallPath(x, fromY, toY) {
+        return this.boardModel.geometry.getFallPath(x, fromY, toY)
+            .map(position => ({ x: position.x + this.originX, y: position.y }));
+    }
+
+    // Called when a pointer is pressed on this board. The board follows that pointer until it is
+    // released, so two players can play on two boards at the same time.
+    startPointer(pointer) {
+        this.pointerId = pointer.id;
+        this.pointerPosition = null;
+        this.pointerCircle = null;
+        this.tracePointer({ x: pointer.worldX, y: pointer.worldY });
+    }
+
+    // The circles the pointer passed since its last position are entered in the order it reached
+    // them. If the player has a circle actively selected then a line is drawn from the most recent
+    // circle to the pointer. The VFXManager handles that complex logic.
+    movePointer(pointer) {
+        this.tracePointer({ x: pointer.worldX, y: pointer.worldY });
+        if (this.selectedCircles.length > 0 && !this.boardRefillHappening) {
+            this.scene.visualEffectsManager.updatePointerLines(this, pointer);
+        }
+    }
+
+    // When the pointer is released the chain that was built with it is committed.
+    releasePointer() {
+        this.dropPointer();
+        this.commitSelectedChain();
+    }
+
+    // Stops following the pointer without committing anything, it has to be pressed again to
+    // build a chain on this board.
+    dropPointer() {
+        this.pointerId = null;
+        this.pointerPosition = null;
+        this.pointerCircle = null;
+    }
+
+    // Moves the pointer to the screen 'position' and enters every circle on the way there. The
+    // geometry finds the cells along the path, so a fast pointer that is sampled only a few times
+    // still enters each circle it crossed. Staying on a circle does not enter it again, the chain
+    // only backtracks or closes a loop when the pointer comes back to a circle.
+    tracePointer(position) {
+        const from = this.pointerPosition || position;
+        this.pointerPosition = position;
+        if (this.boardRefillHappening) {
+            return;
+        }
+        const toBoard = ({ x, y }) => ({ x: x - this.originX, y });
+        const cells = this.boardModel.geometry.getCellsAlongPath(toBoard(from), toBoard(position), POINTER_HIT_RADIUS);
+        cells.forEach(({ x, y }) => {
+            const cell = this.boardModel.getCell(x, y);
+            const circle = cell && this.getCircleForCell(cell);
+            if (circle && circle !== this.pointerCircle) {
+                this.pointerCircle = circle;
+                this.handleCircleEntered(circle);
+            }
+        });
+    }
+
+    // This function is called whenever the player moves onto a circle, either with the pointer or
+    // by selecting it with the keyboard cursor. Depending on the current chain the circle is added
+    // to it, the chain backtracks, or a loop is created.
+    handleCircleEntered(circle) {
+        if (this.isValidNextCircle(circle)) {
+            if (this.isBackTracking(circle)) {
+                this.removeCircleFromChain(circle);
+            } else if (!this.selectedCircles.includes(circle) && !this.loopCreated) {
+                this.addCircleToSelectedChain(circle);
+            } else if (this.selectedCircles.includes(circle) && !this.loopCreated
+                && this.boardModel.isLoop([...this.getSelectedCells(), circle.cell])) {
+                this.handleLoopCreated(circle);
+            }
+        }
+    }
+
+    // Starts the chain with 'circle' when no chain is being built, otherwise it is handled like
+    // the pointer moving onto it. Used by the keyboard cursor and the bot, which select circles
+    // one at a time.
+    selectCircle(circle) {
+        if (this.selectedCircles.length === 0) {
+            if (this.isValidNextCircle(circle)) {
+                this.addCircleToSelectedChain(circle);
+            }
+        } else {
+            this.handleCircleEntered(circle);
+        }
+    }
+
+    // Returns the BoardModel cells of the players current chain, in order.
+    getSelectedCells() {
+        return this.selectedCircles.map(circle => circle.cell);
+    }
+
+    getCircleForCell(cell) {
+        return this.board[cell.x][cell.y];
+    }
+
+    // This function is called whenever the player moves onto a circle on the game board. It
+    // determines whether this circle would be a valid next circle for the
+    // players chain of circle. The adjacency rules live in the BoardModel.
+    isValidNextCircle(circle) {
+        return this.boardModel.isValidNextCell(this.getSelectedCells(), circle.cell);
+    }
+
+    // This function determines if the player is 'backtracking' or going back to the second most recent
+    // circle they have in their chain. This is called whenever the player moves onto a circle on the
+    // game board.
+    isBackTracking(circle) {
+        return this.boardModel.isBackTracking(this.getSelectedCells(), circle.cell);
+    }
+
+    updateSelectedChainGraphics() {
+        this.scene.visualEffectsManager.updateChainLines(this);
+        this.scene.visualEffectsManager.updateBorder(this);
+    }
+
+    addCircleToSelectedChain(circle) {
+        this.scene.hintManager.onPlayerActivity();
+        this.selectedCircles.push(circle);
+        this.scene.visualEffectsManager.createPulseEffect(circle);
+        this.updatePointsToBeAdded();
+        this.updateSelectedChainGraphics();
+        // The loop plays its own chord in handleLoopCreated.
+        if (!this.loopCreated) {
+            this.scene.audioManager.playDotAdded(this.selectedCircles.length);
+            this.playBonusFanfareIfReached(this.selectedCircles.length - 1, this.selectedCircles.length);
+        }
+        if (this.selectedCircles.length === 1) {
+            this.scene.gameEvents.emit(GAME_EVENTS.CHAIN_STARTED, { board: this.index, cell: circle.cell });
+        }
+        this.scene.gameEvents.emit(GAME_EVENTS.DOT_ADDED, {
+            board: this.index, cell: circle.cell, chainLength: this.selectedCircles.length,
+        });
+    }
+
+    removeCircleFromChain() {
+        this.loopCreated = false;
+        const removedCircle = this.selectedCircles.pop();
+        this.updatePointsToBeAdded();
+        this.updateSelectedChainGraphics();
+        this.scene.audioManager.playDotRemoved(this.selectedCircles.length);
+        this.scene.gameEvents.emit(GAME_EVENTS.DOT_REMOVED, {
+            board: this.index, cell: removedCircle.cell, chainLength: this.selectedCircles.length,
+        });
+    }
+
+    handleLoopCreated(circle) {
+        const chainLength = this.selectedCircles.length;
+        this.loopCreated = true;
+        this.setAllSimilarColoredCirclesToSelectedCircles([...this.getSelectedCells(), circle.cell]);
+        this.addCircleToSelectedChain(circle);
+        this.allSimilarColorCircles.forEach((circle) => {
+            this.scene.visualEffectsManager.createPulseEffect(circle);
+        })
+        this.scene.audioManager.playLoop();
+        this.playBonusFanfareIfReached(chainLength, this.allSimilarColorCircles.length);
+        this.scene.gameEvents.emit(GAME_EVENTS.LOOP_FORMED, {
+            board: this.index,
+            color: this.boardModel.getChainColor(this.getSelectedCells()),
+            cells: this.allSimilarColorCircles.map(loopCircle => loopCircle.cell),
+        });
+    }
+
+    // Plays the bonus fanfare when the chain has just grown from 'previousLength' to a length
+    // that earns the bonus chain points.
+    playBonusFanfareIfReached(previousLength, chainLength) {
+        const bonusChainLength = this.scene.settings.bonusChainLength;
+        if (previousLength < bonusChainLength && chainLength >= bonusChainLength) {
+            this.scene.audioManager.playBonusFanfare();
+        }
+    }
+
+    // 'loop' is the chain of cells including the cell that closes the loop.
+    setAllSimilarColoredCirclesToSelectedCircles(loop) {
+        this.allSimilarColorCircles = this.boardModel.getLoopCells(loop)
+            .map(cell => this.getCircleForCell(cell));
+    }
+
+    // This function is called each time circles are removed from the board. 'columnUpdates' is the
+    // result of BoardModel.clearCells, which has already moved and refilled the cells of every column
+    // that had circles removed. This function mirrors those changes: each circle that has empty spaces
+    // below it falls down exactly enough to fill them, and the addNewCirclesToColumn function call below
+    // creates the circles for the cells that were added at the top. 'onCompleteCallback' is called
+    // once every circle has landed. The new columns are built from the updates alone (the model may
+    // already be further ahead when anchors are dropped right after).
+    updateBoard(columnUpdates, onCompleteCallback) {
+        const fallingCircles = columnUpdates.reduce((count, { moved, added }) => count + moved.length + added.length, 0);
+        let landedCircles = 0;
+        const onLanded = () => {
+            landedCircles++;
+            if (landedCircles === fallingCircles && onCompleteCallback) {
+                onCompleteCallback();
+            }
+        };
+        columnUpdates.forEach(({ x, moved, added }) => {
+            const curColumn = this.board[x];
+            // Circles that did not move stay in their row, the rows of cleared circles are taken
+            // by the circles falling into them or by the new circles.
+            const newColumn = [...curColumn];
+            moved.forEach(({ fromY, toY }) => {
+                newColumn[toY] = curColumn[fromY];
+                this.scene.visualEffectsManager.createAndPlayFallingTweens(curColumn[fromY], fromY, toY, onLanded);
+            });
+            this.board[x] = newColumn;
+            this.addNewCirclesToColumn(x, added, onLanded);
+        })
+    }
+
+    // This function is called whenever the board is updated. 'curColumnIndex' is the index of the column
+    // that is having new circles created for and 'addedCells' are the cells the BoardModel created to fill
+    // in the holes left by removed circles. It creates a circle for each of them, plays a falling animation
+    // based on how far they have to fall, and then adds them to the board (this.board).
+    addNewCirclesToColumn(curColumnIndex, addedCells, onLanded) {
+        addedCells.forEach(({ cell, fromY, toY }) => {
+            const newCircle = this.createNewCircle(cell, fromY);
+            this.board[curColumnIndex][toY] = newCircle;
+            this.scene.visualEffectsManager.createAndPlayFallingTweens(newCircle, fromY, toY, onLanded);
+        });
+    }
+
+    // This function is called when the board has no valid move left. The BoardModel rearranges
+    // its cells so that a move exists again and every circle is animated to its new position.
+    // The player can not select circles until the shuffle has finished.
+    shuffleBoard() {
+        this.boardRefillHappening = true;
+        this.selectedCircles = [];
+        this.loopCreated = false;
+        this.resetPointsToBeAdded();
+        this.scene.visualEffectsManager.clearAllGraphics(this);
+        this.scene.gameStateDisplayManager.showNotice(this.scene.localization.t('hud.shuffling'), this.centerX);
+
+        const shuffleMoves = this.boardModel.shuffle();
+        const oldBoard = this.board;
+        this.board = Array.from({ length: this.boardModel.width }, () => Array(this.boardModel.height).fill(null));
+        let completedTweens = 0;
+        shuffleMoves.forEach(({ cell, fromX, fromY }) => {
+            const circle = oldBoard[fromX][fromY];
+            this.board[cell.x][cell.y] = circle;
+            const { x, y } = this.getCirclePosition(cell.x, cell.y);
+            this.scene.visualEffectsManager.shuffleCircle(circle, x, y, () => {
+                completedTweens++;
+                if (completedTweens === shuffleMoves.length) {
+                    this.boardRefillHappening = false;
+                    this.scene.hintManager.onBoardChanged(this);
+                }
+            });
+        });
+    }
+
+    resetPointsToBeAdded() {
+        this.scene.gameStateDisplayManager.setPointsToBeAddedText(this, null, null);
+    }
+
+    // Shows what the current chain would score if it was committed now. The scene scores it like a
+    // committed chain, a loop with every circle it would clear. A single circle scores nothing.
+    updatePointsToBeAdded() {
+        const chain = this.getSelectedCells();
+        const score = chain.length > 1
+            ? this.scene.scoreChain(this, this.boardModel.getCellsToClear(chain), this.boardModel.isLoop(chain))
+            : null;
+        this.scene.gameStateDisplayManager.setPointsToBeAddedText(this, score,
+            this.scene.visualEffectsManager.getChainColor(this.selectedCircles));
+    }
+
+    // Creates the circles of a new board. When a saved game is continued the board is restored
+    // from its saved cells instead of being filled with new ones.
+    createInitialBoard(savedGame = null) {
+        const grid = savedGame ? this.boardModel.restore(savedGame.cells, savedGame.nextCellId) : this.boardModel.fill();
+        const board = grid.map(column =>
+            column.map(cell => this.createNewCircle(cell)));
+        this.board = board;
+        if (!this.boardModel.hasValidMove()) {
+            this.shuffleBoard();
+        } else {
+            this.scene.hintManager.onBoardChanged(this);
+        }
+    }
+
+    // This function is called when the player finishes a chain. A chain of a single circle is
+    // dropped, any longer chain is cleared from the board.
+    commitSelectedChain() {
+        if (this.boardRefillHappening) {
+            return;
+        }
+        this.scene.visualEffectsManager.clearAllGraphics(this);
+        if (this.selectedCircles.length === 1) {
+            this.selectedCircles = [];
+            this.resetPointsToBeAdded();
+        }
+        if (this.selectedCircles.length > 1) {
+            this.clearAllSelectedCircles();
+        }
+    }
+
+    // Drops the current chain without clearing any circles.
+    cancelSelectedChain() {
+        if (this.boardRefillHappening) {
+            return;
+        }
+        this.scene.visualEffectsManager.clearAllGraphics(this);
+        this.selectedCircles = [];
+        this.loopCreated = false;
+        this.resetPointsToBeAdded();
+    }
+
+    // Called when a player successfully clears any number of circles. This function hands the
+    // chain to the scene for scoring, plays the necessary effects and calls the board update
+    // function to refill the empty spaces left behind once the circles have been cleared.
+    clearAllSelectedCircles() {
+        const chain = this.getSelectedCells();
+        const isLoop = this.boardModel.isLoop(chain);
+        const cellsToClear = this.boardModel.getCellsToClear(chain);
+        const chainColor = this.scene.visualEffectsManager.getChainColor(this.selectedCircles);
+        this.selectedCircles = cellsToClear.map(cell => this.getCircleForCell(cell));
+        const columnUpdates = this.boardModel.clearCells(cellsToClear);
+        // Anchors the refill brings down to the bottom row are cleared by the model right away,
+        // they are animated once the circles of the chain have landed.
+        const anchorDrops = this.boardModel.dropLandedAnchors();
+        this.scene.hintManager.invalidate(this);
+        // Whether the refilled board is stuck is decided right away so that no input is accepted
+        // between the circles landing and the shuffle starting.
+        const boardIsStuck = !this.boardModel.hasValidMove();
+        this.boardRefillHappening = true;
+        const clearIndex = ++this.clearCount;
+        this.loopCreated = false;
+        this.resetPointsToBeAdded();
+        // The anchors this chain brings down score for the player who played it, even when the
+        // turn has passed by the time they sink.
+        const playerIndex = this.playerIndex;
+        const isBonusChain = this.selectedCircles.length >= this.scene.settings.bonusChainLength;
+        this.scene.onChainCleared(this, { chain, clearedCells: cellsToClear, isLoop, isBonusChain, color: chainColor });
+
+        let completedTweens = 0;
+        this.selectedCircles.forEach((circle) => {
+            this.scene.visualEffectsManager.playClearEffect(circle);
+            // Play a circle shrink vfx for each circle. This smooths the transition when a circle is removed
+            this.scene.visualEffectsManager.shrinkCircle(circle, () => {
+                completedTweens++;
+                if (completedTweens === this.selectedCircles.length) {
+                    // All animations are complete, proceed with board update. It looks better this way
+                    this.updateBoard(columnUpdates, () => {
+                        if (!this.scene.gameIsRunning || this.isDestroyed) {
+                            return;
+                        }
+                        this.playAnchorDrops(anchorDrops, playerIndex, () => {
+                            this.scene.gameEvents.emit(GAME_EVENTS.BOARD_REFILLED, { board: this.index, shuffled: boardIsStuck });
+                            // A listener may have ended the game, such as the last turn of a hot
+                            // seat game.
+                            if (!this.scene.gameIsRunning || this.isDestroyed) {
+                                return;
+                            }
+                            if (boardIsStuck) {
+                                this.shuffleBoard();
+                            } else if (clearIndex === this.clearCount) {
+                                this.boardRefillHappening = false;
+                                this.scene.hintManager.onBoardChanged(this);
+                            }
+                        });
+                    });
+                    // The player may start the next chain while the circles fall, unless the
+                    // board still changes afterwards.
+                    this.boardRefillHappening = boardIsStuck || anchorDrops.length > 0;
+                    this.selectedCircles = [];
+                    if (this.scene.gameIsRunning && this.scene.gameMode.isOver()) {
+                        this.scene.endGame();
+                    }
+                }
+            });
+            // If the player managed to capture a bonus chain, add a firework vfx for each circle
+            if (isBonusChain) {
+                this.scene.visualEffectsManager.createFireworkParticles(circle);
+            }
+        });
+    }
+
+    // This function animates the rounds of anchors that BoardModel.dropLandedAnchors cleared, one
+    // round at a time: the anchors sink out of the board and the circles above them fall into
+    // their place. Each anchor is worth one point for the player 'playerIndex'.
+    // 'onCompleteCallback' is called once every round has landed.
+    playAnchorDrops(anchorDrops, playerIndex, onCompleteCallback) {
+        if (anchorDrops.length === 0) {
+            onCompleteCallback();
+            return;
+        }
+        const [{ anchors, columnUpdates }, ...remainingDrops] = anchorDrops;
+        const anchorCircles = anchors.map(cell => this.getCircleForCell(cell));
+        this.scene.gameStats.recordClearedCells(anchors);
+        this.scene.addPoints(anchors.length, anchorCircles[0].color, this, playerIndex);
+        let sunkAnchors = 0;
+        anchorCircles.forEach((circle) => {
+            this.scene.visualEffectsManager.sinkAnchor(circle, () => {
+                sunkAnchors++;
+                if (sunkAnchors < anchorCircles.length || !this.scene.gameIsRunning || this.isDestroyed) {
+                    return;
+                }
+                this.updateBoard(columnUpdates, () => {
+                    if (this.scene.gameIsRunning && !this.isDestroyed) {
+                        this.playAnchorDrops(remainingDrops, playerIndex, onCompleteCallback);
+                    }
+                });
+            });
+        });
+    }
+
+    // Draws every circle and the chain again after the theme changed.
+    applyTheme() {
+        this.board.flat().forEach(circle => this.scene.visualEffectsManager.restyleCircle(circle));
+        this.updateSelectedChainGraphics();
+    }
+
+    // Removes the board from the screen at the end of a game: every circle and the chain graphics.
+    destroy() {
+        this.isDestroyed = true;
+        this.board.flat().forEach(circle => circle.destroy());
+        this.board = [];
+        this.selectedCircles = [];
+        Object.values(this.graphics).forEach(graphics => graphics.destroy());
+    }
+}
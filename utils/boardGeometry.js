@@ -0,0 +1,163 @@
+import * as Constants from '../constants/constants.js';
+
+// A BoardGeometry describes how the cells of a BoardModel are arranged: which cells are
+// neighbours, where each cell is drawn and how small a loop can be. Everything that depends on
+// the shape of the board asks the geometry, so a new shape can be added by extending this class
+// and registering it in BOARD_GEOMETRIES. Like the BoardModel it has no dependency on Phaser.
+export class BoardGeometry {
+    static id = 'base';
+    static label = '';
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    // Whether neighbouring rows are offset from each other, so that there is no neighbour straight
+    // above or below a cell.
+    get isStaggered() {
+        return false;
+    }
+
+    // The smallest number of different cells a loop can be made of.
+    get minLoopSize() {
+        return 3;
+    }
+
+    // Returns the [xOffset, yOffset] pairs that lead from the cell at column 'x' and row 'y' to
+    // its neighbours.
+    getNeighbourOffsets(x, y) {
+        return [];
+    }
+
+    // Returns the screen position of the center of the cell at column 'x' and row 'y'. Rows above
+    // the board (negative 'y') are allowed, circles start there before falling into place.
+    getCellPosition(x, y) {
+        const posX = (x * Constants.CELL_SIZE + Constants.CELL_SIZE / 2) + Constants.VIEW_PADDING_X - Constants.CELL_SIZE / 3;
+        const posY = (y * Constants.CELL_SIZE + Constants.CELL_SIZE / 2) + Constants.VIEW_PADDING_Y;
+        return { x: posX, y: posY };
+    }
+
+    // Returns the positions a circle in column 'x' passes through while falling from row 'fromY'
+    // to row 'toY', one per row, ending with its resting position.
+    getFallPath(x, fromY, toY) {
+        const path = [];
+        for (let y = fromY + 1; y <= toY; y++) {
+            path.push(this.getCellPosition(x, y));
+        }
+        return path;
+    }
+
+    // Returns the cells whose center lies within 'radius' of the straight path from the screen
+    // position 'from' to 'to', as { x, y } in the order the path reaches them. A path that starts
+    // and ends at the same position finds the cell under it. 'radius' must not exceed half a cell
+    // so that no position is within reach of two cells. The cells are not checked against the
+    // size of a board, only the rows are looked at that the path passes, and in those rows the
+    // columns around it. That works for every geometry whose cells in a row are a cell apart.
+    getCellsAlongPath(from, to, radius) {
+        const firstRowY = this.getCellPosition(0, 0).y;
+        const minRow = Math.floor((Math.min(from.y, to.y) - radius - firstRowY) / Constants.CELL_SIZE);
+        const maxRow = Math.ceil((Math.max(from.y, to.y) + radius - firstRowY) / Constants.CELL_SIZE);
+        const hits = [];
+        for (let y = minRow; y <= maxRow; y++) {
+            const firstColumnX = this.getCellPosition(0, y).x;
+            const minColumn = Math.floor((Math.min(from.x, to.x) - radius - firstColumnX) / Constants.CELL_SIZE);
+            const maxColumn = Math.ceil((Math.max(from.x, to.x) + radius - firstColumnX) / Constants.CELL_SIZE);
+            for (let x = minColumn; x <= maxColumn; x++) {
+                const distance = getPathEntry(from, to, this.getCellPosition(x, y), radius);
+                if (distance !== null) {
+                    hits.push({ x, y, distance });
+                }
+            }
+        }
+        return hits.sort((a, b) => a.distance - b.distance).map(({ x, y }) => ({ x, y }));
+    }
+}
+
+// Returns how far along the path from 'from' to 'to' it first comes within 'radius' of 'center',
+// from 0 at its start to 1 at its end, or null if it never does.
+function getPathEntry(from, to, center, radius) {
+    const offsetX = from.x - center.x;
+    const offsetY = from.y - center.y;
+    const startOutside = offsetX * offsetX + offsetY * offsetY - radius * radius;
+    if (startOutside <= 0) {
+        return 0;
+    }
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const a = dx * dx + dy * dy;
+    const b = 2 * (offsetX * dx + offsetY * dy);
+    const discriminant = b * b - 4 * a * startOutside;
+    if (a === 0 || discriminant < 0) {
+        return null;
+    }
+    const entry = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return entry >= 0 && entry <= 1 ? entry : null;
+}
+
+// The original layout: even rows are shifted half a cell to the right, so every cell has up to
+// six neighbours and which cells those are depends on the row. Falling circles zig-zag from row
+// to row. The offsets are the ADJACENT_CIRCLE_OFFSETS constants defined in constants.js.
+export class HexGeometry extends BoardGeometry {
+    static id = 'hex';
+    static label = 'geometries.hex';
+
+    get isStaggered() {
+        return true;
+    }
+
+    getNeighbourOffsets(x, y) {
+        return y % 2 === 0
+            ? Constants.ADJACENT_CIRCLE_OFFSETS_RIGHT_LEANING
+            : Constants.ADJACENT_CIRCLE_OFFSETS_LEFT_LEANING;
+    }
+
+    getCellPosition(x, y) {
+        const position = super.getCellPosition(x, y);
+        if (y % 2 === 0) {
+            position.x += Constants.CELL_SIZE / 2;
+        }
+        return position;
+    }
+}
+
+const ORTHOGONAL_OFFSETS = [[0, -1], [-1, 0], [1, 0], [0, 1]];
+const DIAGONAL_OFFSETS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+// A classic square grid where cells connect up, down, left and right. The rows are centered the
+// way the staggered rows are on average, so the board sits in the middle of the border.
+export class SquareGeometry extends BoardGeometry {
+    static id = 'square';
+    static label = 'geometries.square';
+
+    get minLoopSize() {
+        return 4;
+    }
+
+    getNeighbourOffsets() {
+        return ORTHOGONAL_OFFSETS;
+    }
+
+    getCellPosition(x, y) {
+        const position = super.getCellPosition(x, y);
+        position.x += Constants.CELL_SIZE / 4;
+        return position;
+    }
+}
+
+// A square grid where cells also connect diagonally. Any three cells in a corner would form a
+// loop with diagonals, so loops still need at least four cells.
+export class DiagonalSquareGeometry extends SquareGeometry {
+    static id = 'square8';
+    static label = 'geometries.square8';
+
+    getNeighbourOffsets() {
+        return [...ORTHOGONAL_OFFSETS, ...DIAGONAL_OFFSETS];
+    }
+}
+
+export const BOARD_GEOMETRIES = [HexGeometry, SquareGeometry, DiagonalSquareGeometry];
+
+export function createBoardGeometry(geometryId) {
+    const Geometry = BOARD_GEOMETRIES.find(geometry => geometry.id === geometryId) || HexGeometry;
+    return new Geometry();
+}
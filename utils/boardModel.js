@@ -0,0 +1,370 @@
+import * as Constants from '../constants/constants.js';
+import { createBoardGeometry } from './boardGeometry.js';
+import { SeededRandom } from './seededRandom.js';
+
+// The types of special dots a refill can create, any other key of 'specialDotRates' is ignored.
+export const SPECIAL_DOT_TYPES = ['bomb', 'wildcard', 'anchor'];
+
+// The BoardModel class holds the game board state and all of the rules that operate on it:
+// adjacency, chain validation, loop detection, clearing, gravity and refilling. It has no
+// dependency on Phaser, the mainScene only mirrors this model visually. This means the game
+// rules can be run (and tested) outside of a browser, and because colors are drawn from a
+// seeded generator any board can be reproduced exactly from its seed.
+//
+// The grid is stored as columns, so grid[x][y] is the cell in column x and row y, where row 0
+// is the top of the board. Each cell is a plain object { id, type, color, x, y } where 'color' is
+// an index into COLOR_OPTIONS. The x and y values of a cell are kept up to date as it falls.
+//
+// 'type' is 'normal' for plain dots. Refills can also create special dots, at the rates given in
+// 'specialDotRates' (see SPECIAL_DOT_RATES): a 'bomb' is chained like a normal dot but also clears
+// its neighbours, a 'wildcard' has no color and connects to any color, and an 'anchor' has no
+// color, can not be chained and is only cleared once it has fallen to the bottom row.
+//
+// By default the board uses the first 'colorCount' colors. Passing 'colors' (an array of color
+// indices) restricts it to those colors instead, and 'layout' (one string per row, each character
+// a color index or '.' for a random color) fixes the colors of the initial board.
+//
+// Which cells are adjacent and how small a loop can be is decided by the 'geometry' (see
+// boardGeometry.js), the staggered hex layout by default.
+export class BoardModel {
+    constructor({
+        width = Constants.GRID_WIDTH,
+        height = Constants.GRID_HEIGHT,
+        colorCount = Constants.CIRCLE_COLORS,
+        colors = Array.from({ length: colorCount }, (_, colorIndex) => colorIndex),
+        layout = null,
+        specialDotRates = {},
+        geometry = createBoardGeometry(),
+        random = new SeededRandom(),
+    } = {}) {
+        this.width = width;
+        this.height = height;
+        this.colors = colors;
+        this.colorCount = colors.length;
+        this.layout = layout;
+        this.specialDotRates = specialDotRates;
+        this.geometry = geometry;
+        this.random = random;
+        this.nextCellId = 0;
+        this.grid = [];
+        // Set while landed anchors are dropped, see dropLandedAnchors.
+        this.isDroppingAnchors = false;
+    }
+
+    // Creates a new cell. Only refills pass 'allowSpecial', the initial board is always made of
+    // normal dots.
+    createCell(x, y, allowSpecial = false) {
+        const type = allowSpecial ? this.pickDotType() : 'normal';
+        const color = type === 'wildcard' || type === 'anchor' ? null : this.random.pick(this.colors);
+        return { id: this.nextCellId++, type, color, x, y };
+    }
+
+    // Creates a normal cell of the given color, used for the fixed cells of a layout.
+    createCellOfColor(x, y, color) {
+        return { id: this.nextCellId++, type: 'normal', color, x, y };
+    }
+
+    // Picks the type of a refilled cell. No random number is drawn when every rate is zero, so a
+    // board without special dots consumes the generator exactly like it did before they existed.
+    // A roll that lands on an anchor while landed anchors are dropped creates a normal dot.
+    pickDotType() {
+        const rates = Object.entries(this.specialDotRates)
+            .filter(([type, rate]) => SPECIAL_DOT_TYPES.includes(type) && rate > 0);
+        if (rates.length === 0) {
+            return 'normal';
+        }
+        let roll = this.random.next();
+        for (const [type, rate] of rates) {
+            if (roll < rate) {
+                return type === 'anchor' && this.isDroppingAnchors ? 'normal' : type;
+            }
+            roll -= rate;
+        }
+        return 'normal';
+    }
+
+    // Fills the whole board with new cells. Cells are created row by row from the top so that
+    // the same seed always creates the same board.
+    fill() {
+        const grid = Array.from({ length: this.width }, () => []);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const layoutColor = this.layout ? this.layout[y][x] : '.';
+                grid[x].push(layoutColor === '.' ? this.createCell(x, y) : this.createCellOfColor(x, y, Number(layoutColor)));
+            }
+        }
+        this.grid = grid;
+        return grid;
+    }
+
+    // Puts back a board that was saved from getCellData, 'columns' holds one array of
+    // { id, type, color } per column. 'nextCellId' is the id the next new cell gets.
+    restore(columns, nextCellId) {
+        this.grid = columns.map((column, x) => column.map(({ id, type, color }, y) => ({ id, type, color, x, y })));
+        this.nextCellId = nextCellId;
+        return this.grid;
+    }
+
+    // Returns the cells of the board as plain data for saving, see restore.
+    getCellData() {
+        return this.grid.map(column => column.map(({ id, type, color }) => ({ id, type, color })));
+    }
+
+    getCell(x, y) {
+        if (!this.isInBounds(x, y)) {
+            return null;
+        }
+        return this.grid[x][y];
+    }
+
+    getAllCells() {
+        return this.grid.flat();
+    }
+
+    isInBounds(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    areAdjacent(cell, otherCell) {
+        const xOffset = otherCell.x - cell.x;
+        const yOffset = otherCell.y - cell.y;
+        return this.geometry.getNeighbourOffsets(cell.x, cell.y).some(coord =>
+            coord[0] === xOffset && coord[1] === yOffset);
+    }
+
+    getNeighbours(cell) {
+        return this.geometry.getNeighbourOffsets(cell.x, cell.y)
+            .map(([xOffset, yOffset]) => this.getCell(cell.x + xOffset, cell.y + yOffset))
+            .filter(neighbour => neighbour !== null);
+    }
+
+    // Whether 'cell' can be part of a chain of 'color', where a null color means the chain has
+    // no color yet. Wildcards match every color and anchors none.
+    matchesColor(cell, color) {
+        if (cell.type === 'anchor') {
+            return false;
+        }
+        return cell.type === 'wildcard' || color === null || cell.color === color;
+    }
+
+    // Whether two cells could be chained together if they were adjacent.
+    canConnect(cell, otherCell) {
+        return this.matchesColor(cell, otherCell.color) && this.matchesColor(otherCell, cell.color);
+    }
+
+    // The color of a chain is the color of its first cell that is not a wildcard, or null if the
+    // chain only holds wildcards.
+    getChainColor(chain) {
+        const coloredCell = chain.find(cell => cell.color !== null);
+        return coloredCell ? coloredCell.color : null;
+    }
+
+    // Determines whether 'cell' would be a valid next cell for 'chain' (an ordered array of
+    // cells). Any cell but an anchor can start a chain, after that the cell must be adjacent to
+    // the last cell in the chain and match the chain's color.
+    isValidNextCell(chain, cell) {
+        if (chain.length === 0) {
+            return cell.type !== 'anchor';
+        }
+        const lastCell = chain[chain.length - 1];
+        return this.areAdjacent(lastCell, cell) && this.matchesColor(cell, this.getChainColor(chain));
+    }
+
+    // Going back to the second most recent cell of the chain removes the most recent one.
+    isBackTracking(chain, cell) {
+        if (chain.length <= 0) {
+            return false;
+        }
+        return chain[chain.length - 2] === cell;
+    }
+
+    // A chain is a loop when its last cell was already visited earlier in the chain and the
+    // chain holds at least the geometry's minLoopSize different cells.
+    isLoop(chain) {
+        return chain.length > 1 && chain.indexOf(chain[chain.length - 1]) < chain.length - 1
+            && new Set(chain).size >= this.geometry.minLoopSize;
+    }
+
+    // Checks a complete chain, for example one that was recorded or built outside of the
+    // scene. Every step must be a valid next cell and only the final cell may close a loop.
+    isValidChain(chain) {
+        if (chain.length < 2 || chain.some(cell => this.getCell(cell.x, cell.y) !== cell)) {
+            return false;
+        }
+        for (let i = 1; i < chain.length; i++) {
+            const previous = chain.slice(0, i);
+            if (!this.isValidNextCell(previous, chain[i])) {
+                return false;
+            }
+            if (previous.includes(chain[i])
+                && (i !== chain.length - 1 || this.isBackTracking(previous, chain[i]) || !this.isLoop(chain))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    getCellsOfColor(color) {
+        return this.getAllCells().filter(cell => cell.color === color);
+    }
+
+    // Returns the cells a loop clears: every cell of the loop's color and the wildcards that are
+    // part of the loop. A loop made of wildcards only clears itself.
+    getLoopCells(chain) {
+        const color = this.getChainColor(chain);
+        const wildcards = chain.filter(cell => cell.type === 'wildcard');
+        return [...new Set([...(color !== null ? this.getCellsOfColor(color) : []), ...wildcards])];
+    }
+
+    // Returns the cells that are cleared when 'chain' is committed. A loop clears the cells from
+    // getLoopCells, any other chain clears the cells in it. Every bomb that is cleared also clears
+    // its neighbours (except anchors), which can set off further bombs.
+    getCellsToClear(chain) {
+        const cells = this.isLoop(chain) ? this.getLoopCells(chain) : [...new Set(chain)];
+        const bombs = cells.filter(cell => cell.type === 'bomb');
+        while (bombs.length > 0) {
+            this.getNeighbours(bombs.pop()).forEach((neighbour) => {
+                if (neighbour.type !== 'anchor' && !cells.includes(neighbour)) {
+                    cells.push(neighbour);
+                    if (neighbour.type === 'bomb') {
+                        bombs.push(neighbour);
+                    }
+                }
+            });
+        }
+        return cells;
+    }
+
+    // Returns the anchors that have reached the bottom row.
+    getLandedAnchors() {
+        return this.grid.map(column => column[this.height - 1])
+            .filter(cell => cell.type === 'anchor');
+    }
+
+    // Clears every anchor on the bottom row. The cells above an anchor fall into its place, which
+    // can bring the next anchor down, so this repeats until no anchor is left on the bottom row.
+    // The refills of these rounds create no anchors, otherwise the rounds might never end.
+    // Returns one { anchors, columnUpdates } entry per round, 'columnUpdates' is the result of
+    // clearCells for that round.
+    dropLandedAnchors() {
+        const drops = [];
+        let anchors = this.getLandedAnchors();
+        this.isDroppingAnchors = true;
+        while (anchors.length > 0) {
+            drops.push({ anchors, columnUpdates: this.clearCells(anchors) });
+            anchors = this.getLandedAnchors();
+        }
+        this.isDroppingAnchors = false;
+        return drops;
+    }
+
+    // Removes 'cells' from the board, lets the remaining cells fall down and refills the empty
+    // spaces with new cells. The returned array describes what happened in each affected column
+    // so that the scene can animate it: 'moved' cells fell from 'fromY' to 'toY', and 'added'
+    // cells were created above the board at 'fromY' (a negative row) and fall to 'toY'.
+    clearCells(cells) {
+        const columns = [];
+        cells.forEach((cell) => {
+            this.grid[cell.x][cell.y] = null;
+            if (!columns.includes(cell.x)) {
+                columns.push(cell.x);
+            }
+        });
+        return columns.map(x => this.collapseAndRefillColumn(x));
+    }
+
+    // A move exists when at least two adjacent cells can be chained together.
+    hasValidMove() {
+        return this.getAllCells().some(cell =>
+            this.getNeighbours(cell).some(neighbour => this.canConnect(cell, neighbour)));
+    }
+
+    // Randomly rearranges the existing cells so that at least one move exists afterwards. Returns
+    // an entry { cell, fromX, fromY } for every cell, the cell itself holds its new position.
+    // If the board has fewer cells than colors a move can not be guaranteed, in that case
+    // the board is still shuffled but may remain without a move.
+    shuffle() {
+        const cells = this.getAllCells();
+        const moves = cells.map(cell => ({ cell, fromX: cell.x, fromY: cell.y }));
+        const maxAttempts = 10;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            this.placeCells(this.shuffleArray([...cells]));
+            if (this.hasValidMove()) {
+                return moves;
+            }
+        }
+        this.forceValidMove();
+        return moves;
+    }
+
+    // Fisher-Yates shuffle driven by the board's generator so shuffles are reproducible.
+    shuffleArray(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.random.between(0, i);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    // Puts 'cells' into the grid in column order, updating the position stored on each cell.
+    placeCells(cells) {
+        cells.forEach((cell, index) => {
+            cell.x = Math.floor(index / this.height);
+            cell.y = index % this.height;
+            this.grid[cell.x][cell.y] = cell;
+        });
+    }
+
+    // Moves a cell next to another cell of the same color by swapping it with one of that
+    // cell's neighbours.
+    forceValidMove() {
+        const cells = this.getAllCells();
+        for (const cell of cells.filter(candidate => candidate.color !== null)) {
+            const match = cells.find(other => other !== cell && other.color === cell.color);
+            if (match) {
+                const neighbour = this.getNeighbours(cell)[0];
+                this.swapCells(neighbour, match);
+                return;
+            }
+        }
+    }
+
+    swapCells(cell, otherCell) {
+        const { x, y } = cell;
+        cell.x = otherCell.x;
+        cell.y = otherCell.y;
+        otherCell.x = x;
+        otherCell.y = y;
+        this.grid[cell.x][cell.y] = cell;
+        this.grid[otherCell.x][otherCell.y] = otherCell;
+    }
+
+    collapseAndRefillColumn(x) {
+        const column = this.grid[x];
+        const moved = [];
+        const remainingCells = [];
+        let spacesToMove = 0;
+        // Walk the column from the bottom up, every cell falls by the number of empty spaces
+        // found below it.
+        for (let y = this.height - 1; y >= 0; y--) {
+            const cell = column[y];
+            if (cell === null) {
+                spacesToMove += 1;
+                continue;
+            }
+            if (spacesToMove > 0) {
+                moved.push({ cell, fromY: y, toY: y + spacesToMove });
+                cell.y += spacesToMove;
+            }
+            remainingCells.push(cell);
+        }
+
+        const added = [];
+        const cellsToAdd = this.height - remainingCells.length;
+        for (let y = 0; y < cellsToAdd; y++) {
+            added.push({ cell: this.createCell(x, y, true), fromY: y - cellsToAdd, toY: y });
+        }
+        this.grid[x] = [...added.map(entry => entry.cell), ...remainingCells.reverse()];
+        return { x, moved, added };
+    }
+}
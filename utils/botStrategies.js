@@ -0,0 +1,74 @@
+import { findBestLoop, findBestMove } from './moveFinder.js';
+
+// The strategies the autoplay bot and the benchmark can play with. A strategy picks the next
+// chain to commit on a BoardModel: chooseChain(boardModel, random) returns the ordered array of
+// cells to select (a loop ends with the cell it started on), or null if the board has no move.
+// 'random' is a SeededRandom so that games played by a strategy can be reproduced. New strategies
+// can be added by extending BotStrategy and registering them in BOT_STRATEGIES.
+export class BotStrategy {
+    static id = 'base';
+    static label = '';
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    chooseChain(boardModel, random) {
+        return null;
+    }
+}
+
+// Always plays the longest chain it can find and never closes a loop.
+export class GreedyStrategy extends BotStrategy {
+    static id = 'greedy';
+    static label = 'bots.greedy';
+
+    chooseChain(boardModel) {
+        const move = findBestMove(boardModel, { maxSteps: 2000, allowLoops: false });
+        return move ? move.chain : null;
+    }
+}
+
+// Closes the loop that clears the most cells whenever there is one, and otherwise plays like
+// the greedy strategy.
+export class LoopSeekingStrategy extends GreedyStrategy {
+    static id = 'loops';
+    static label = 'bots.loops';
+
+    chooseChain(boardModel, random) {
+        const loop = findBestLoop(boardModel);
+        return loop ? loop.chain : super.chooseChain(boardModel, random);
+    }
+}
+
+// Starts on a random cell that has a move and wanders to random matching neighbours until it
+// gets stuck or decides to stop, which happens with a chance of one in three after every step.
+// It never visits a cell twice, so it never closes a loop.
+export class RandomStrategy extends BotStrategy {
+    static id = 'random';
+    static label = 'bots.random';
+
+    chooseChain(boardModel, random) {
+        const getNextCells = chain => boardModel.getNeighbours(chain[chain.length - 1])
+            .filter(cell => !chain.includes(cell) && boardModel.isValidNextCell(chain, cell));
+        const startCells = boardModel.getAllCells()
+            .filter(cell => boardModel.isValidNextCell([], cell) && getNextCells([cell]).length > 0);
+        if (startCells.length === 0) {
+            return null;
+        }
+        const chain = [random.pick(startCells)];
+        let nextCells = getNextCells(chain);
+        while (nextCells.length > 0 && (chain.length < 2 || random.next() >= 1 / 3)) {
+            chain.push(random.pick(nextCells));
+            nextCells = getNextCells(chain);
+        }
+        return chain;
+    }
+}
+
+export const BOT_STRATEGIES = [GreedyStrategy, LoopSeekingStrategy, RandomStrategy];
+
+export function createBotStrategy(strategyId) {
+    const Strategy = BOT_STRATEGIES.find(strategy => strategy.id === strategyId) || GreedyStrategy;
+    return new Strategy();
+}
@@ -0,0 +1,142 @@
+import * as Constants from '../constants/constants.js';
+import { BOARD_GEOMETRIES } from './boardGeometry.js';
+import { SPECIAL_DOT_TYPES } from './boardModel.js';
+import { SETTING_RANGES } from './gameSettings.js';
+import { getScoringRulesError } from './scoring.js';
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const CAMPAIGN_KEY = 'dots.campaign';
+const CAMPAIGN_VERSION = 1;
+
+// The directory of the level files. Its index.json lists the level files of the campaign, in
+// the order they are played.
+export const LEVEL_DIRECTORY = 'levels';
+
+const OBJECTIVE_TYPES = ['clearColor', 'loops', 'score'];
+
+// Checks that 'json' is a level this version of the game can play and returns it. Throws an
+// error naming 'fileName' if it is not. A level looks like this:
+//
+// {
+//     "id": "first-steps",            unique, the stars earned are saved under this id
+//     "name": "First Steps",
+//     "width": 6, "height": 8,        within the ranges of the settings screen
+//     "geometry": "square",           optional, the id of one of the BOARD_GEOMETRIES, 'hex' if
+//                                     left out
+//     "colors": [0, 1, 2],            indices into the palette, refills only use these colors
+//     "layout": ["012012", ...],      optional, one string per row from the top, each character
+//                                     a color index or '.' for a random color
+//     "moves": 15,                    either a number of moves or a "time" in milliseconds
+//     "objectives": [
+//         { "type": "clearColor", "color": 0, "count": 20 },
+//         { "type": "loops", "count": 2 },
+//         { "type": "score", "count": 150 }
+//     ],
+//     "starScores": [100, 200],       optional, the scores needed for the second and third star
+//     "specialDotRates": { ... },     optional, see SPECIAL_DOT_RATES, no special dots without it,
+//                                     the rates of the SPECIAL_DOT_TYPES must add up to less than 1
+//     "scoring": { ... }              optional, changes the scoring rules, see getScoringRulesError
+// }
+export function parseLevel(json, fileName) {
+    const fail = (reason) => {
+        throw new Error(`Level ${fileName}: ${reason}`);
+    };
+    if (!json || typeof json !== 'object') {
+        fail('not a valid level file.');
+    }
+    if (typeof json.id !== 'string' || typeof json.name !== 'string') {
+        fail('a level needs an id and a name.');
+    }
+    const isInRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+    if (!isInRange(json.width, SETTING_RANGES.gridWidth) || !isInRange(json.height, SETTING_RANGES.gridHeight)) {
+        fail('the board size is out of range.');
+    }
+    if (json.geometry !== undefined && !BOARD_GEOMETRIES.some(geometry => geometry.id === json.geometry)) {
+        fail(`unknown geometry "${json.geometry}".`);
+    }
+    const isColor = color => Number.isInteger(color) && color >= 0 && color < Constants.COLOR_OPTIONS.length;
+    if (!Array.isArray(json.colors) || json.colors.length < 2 || !json.colors.every(isColor)
+        || new Set(json.colors).size !== json.colors.length) {
+        fail('"colors" must list at least two different color indices.');
+    }
+    if (json.layout !== undefined) {
+        const isValidRow = row => typeof row === 'string' && row.length === json.width
+            && [...row].every(char => char === '.' || (/^\d$/.test(char) && json.colors.includes(Number(char))));
+        if (!Array.isArray(json.layout) || json.layout.length !== json.height || !json.layout.every(isValidRow)) {
+            fail('"layout" must have one row per board row using the level\'s colors.');
+        }
+    }
+    const isPositive = value => Number.isInteger(value) && value > 0;
+    if (isPositive(json.moves) === isPositive(json.time)) {
+        fail('a level needs either "moves" or "time".');
+    }
+    const isValidObjective = objective => objective
+        && OBJECTIVE_TYPES.includes(objective.type)
+        && isPositive(objective.count)
+        && (objective.type !== 'clearColor' || json.colors.includes(objective.color));
+    if (!Array.isArray(json.objectives) || json.objectives.length === 0 || !json.objectives.every(isValidObjective)) {
+        fail('"objectives" must be a list of valid objectives.');
+    }
+    if (json.starScores !== undefined && !(Array.isArray(json.starScores) && json.starScores.length === 2
+        && json.starScores.every(Number.isFinite) && json.starScores[0] <= json.starScores[1])) {
+        fail('"starScores" must be two scores in ascending order.');
+    }
+    if (json.specialDotRates !== undefined && !isValidSpecialDotRates(json.specialDotRates)) {
+        fail(`"specialDotRates" must give ${SPECIAL_DOT_TYPES.join(', ')} rates that add up to less than 1.`);
+    }
+    const scoringError = json.scoring !== undefined ? getScoringRulesError(json.scoring) : null;
+    if (scoringError) {
+        fail(scoringError);
+    }
+    return json;
+}
+
+function isValidSpecialDotRates(rates) {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        return false;
+    }
+    const entries = Object.entries(rates);
+    const isValidRate = rate => Number.isFinite(rate) && rate >= 0 && rate < 1;
+    return entries.every(([type, rate]) => SPECIAL_DOT_TYPES.includes(type) && isValidRate(rate))
+        && entries.reduce((total, [, rate]) => total + rate, 0) < 1;
+}
+
+// Returns the number of stars (0 to 3) a finished game of 'level' earns. Completing the
+// objectives earns the first star, the starScores earn the other two.
+export function getStars(level, objectivesComplete, score) {
+    if (!objectivesComplete) {
+        return 0;
+    }
+    const starScores = level.starScores || [];
+    return 1 + starScores.filter(starScore => score >= starScore).length;
+}
+
+// The CampaignProgress class remembers the most stars earned on every level. A level is
+// unlocked once the level before it has been completed.
+export class CampaignProgress {
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+        const data = loadJson(this.storage, CAMPAIGN_KEY, null);
+        this.stars = data && data.version === CAMPAIGN_VERSION && typeof data.stars === 'object' ? data.stars : {};
+    }
+
+    save() {
+        saveJson(this.storage, CAMPAIGN_KEY, { version: CAMPAIGN_VERSION, stars: this.stars });
+    }
+
+    getStars(levelId) {
+        return this.stars[levelId] || 0;
+    }
+
+    // Stores the stars of a finished game if they beat the best result on that level.
+    recordStars(levelId, stars) {
+        if (stars > this.getStars(levelId)) {
+            this.stars[levelId] = stars;
+            this.save();
+        }
+    }
+
+    isUnlocked(levels, levelIndex) {
+        return levelIndex === 0 || this.getStars(levels[levelIndex - 1].id) > 0;
+    }
+}
@@ -0,0 +1,69 @@
+import * as Constants from '../constants/constants.js';
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const COLOR_SCHEME_KEY = 'dots.colorScheme';
+
+// One glyph per color index. Glyphs are drawn on top of the circles when shapes are enabled so
+// that colors can be told apart without relying on the color itself.
+export const GLYPHS = ['triangle', 'square', 'diamond', 'plus', 'cross', 'star', 'ring', 'bar'];
+
+// The ColorScheme class decides how a color index of the BoardModel is shown: which palette from
+// COLOR_PALETTES provides the color and, when shapes are enabled, which glyph is drawn on it. The
+// default palette takes its colors from the current theme, as do wildcards and anchors, which
+// have no color index. The chosen palette and the shapes setting are persisted between sessions.
+export class ColorScheme {
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+        this.theme = null;
+        const saved = loadJson(this.storage, COLOR_SCHEME_KEY, {});
+        this.palette = Constants.COLOR_PALETTES.find(palette => palette.id === saved.paletteId)
+            || Constants.COLOR_PALETTES[0];
+        this.glyphsEnabled = saved.glyphsEnabled === true;
+    }
+
+    save() {
+        saveJson(this.storage, COLOR_SCHEME_KEY, { paletteId: this.palette.id, glyphsEnabled: this.glyphsEnabled });
+    }
+
+    // Called by the scene whenever the theme changes.
+    setTheme(theme) {
+        this.theme = theme;
+    }
+
+    // Returns the colors of the chosen palette.
+    getPaletteColors() {
+        return this.palette === Constants.COLOR_PALETTES[0] ? this.theme.dots.colors : this.palette.colors;
+    }
+
+    getColor(colorIndex) {
+        return this.getPaletteColors()[colorIndex];
+    }
+
+    // Returns the color a BoardModel cell is drawn in.
+    getCellColor(cell) {
+        return cell.color !== null ? this.getColor(cell.color) : this.theme.dots[cell.type];
+    }
+
+    // Returns the glyph for 'colorIndex', or null when shapes are disabled.
+    getGlyph(colorIndex) {
+        return this.glyphsEnabled ? GLYPHS[colorIndex] : null;
+    }
+
+    // Glyphs are drawn in black on light colors and in white on dark colors.
+    getGlyphColor(colorIndex) {
+        const color = this.getColor(colorIndex);
+        const luminance = (0.299 * ((color >> 16) & 0xff) + 0.587 * ((color >> 8) & 0xff) + 0.114 * (color & 0xff)) / 255;
+        return luminance > 0.55 ? 0x000000 : 0xFFFFFF;
+    }
+
+    cyclePalette() {
+        const paletteIndex = Constants.COLOR_PALETTES.indexOf(this.palette);
+        this.palette = Constants.COLOR_PALETTES[(paletteIndex + 1) % Constants.COLOR_PALETTES.length];
+        this.save();
+    }
+
+    toggleGlyphs() {
+        this.glyphsEnabled = !this.glyphsEnabled;
+        this.save();
+    }
+}
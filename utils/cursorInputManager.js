@@ -0,0 +1,187 @@
+// Keyboard keys (KeyboardEvent.code) and the action each of them performs. Because the rows of
+// the board are staggered every circle has six neighbours: left and right, and two above and
+// two below it. Q, E, Z and C pick the diagonal neighbours directly, up and down pick the
+// diagonal on the side the cursor last moved towards.
+const KEY_ACTIONS = {
+    ArrowLeft: 'left', KeyA: 'left',
+    ArrowRight: 'right', KeyD: 'right',
+    ArrowUp: 'up', KeyW: 'up',
+    ArrowDown: 'down', KeyS: 'down',
+    KeyQ: 'upLeft', KeyE: 'upRight',
+    KeyZ: 'downLeft', KeyC: 'downRight',
+    Space: 'select',
+    Enter: 'commit', NumpadEnter: 'commit',
+    Escape: 'cancel',
+    Tab: 'next',
+    KeyP: 'pause',
+};
+
+// Standard gamepad button indices and their actions.
+const GAMEPAD_BUTTON_ACTIONS = {
+    0: 'select',
+    1: 'cancel',
+    2: 'commit',
+    9: 'pause',
+    12: 'up',
+    13: 'down',
+    14: 'left',
+    15: 'right',
+};
+
+// The screen direction of each movement action, up is negative y. Diagonals point at the
+// neighbours in the rows above and below, which sit 60 degrees from the horizontal.
+const DIRECTION_VECTORS = {
+    left: [-1, 0],
+    right: [1, 0],
+    upLeft: [-1, -1.7],
+    upRight: [1, -1.7],
+    downLeft: [-1, 1.7],
+    downRight: [1, 1.7],
+};
+
+const STICK_THRESHOLD = 0.5;
+const STICK_REPEAT_DELAY = 200;
+
+// The CursorInputManager class lets the game be played without a pointer. A cursor moves
+// between the circles with the keyboard or a gamepad, 'select' starts or extends the chain with
+// the focused circle (following the same rules as the pointer, including backtracking), 'commit'
+// finishes the chain exactly like releasing the pointer and 'cancel' drops it. While a menu is
+// open the same actions navigate the MenuManager's buttons instead. 'pause' (P or the gamepad's
+// start button) pauses and resumes the game. The cursor always plays the active board of the
+// scene, in split screen games that is the left one.
+export class CursorInputManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.focus = { x: 0, y: 0 };
+        this.cursorVisible = false;
+        this.lastHorizontalDirection = 1;
+        this.stickRepeatTime = 0;
+
+        this.scene.input.keyboard.addCapture('UP,DOWN,LEFT,RIGHT,SPACE,TAB');
+        this.scene.input.keyboard.on('keydown', (event) => {
+            const action = KEY_ACTIONS[event.code];
+            if (action) {
+                this.handleAction(action);
+            }
+        });
+        if (this.scene.input.gamepad) {
+            this.scene.input.gamepad.on('down', (pad, button) => {
+                const action = GAMEPAD_BUTTON_ACTIONS[button.index];
+                if (action) {
+                    this.handleAction(action);
+                }
+            });
+        }
+    }
+
+    handleAction(action) {
+        // Pausing works both during the game and on the pause overlay, but not while initials
+        // are typed (no game is running then).
+        if (action === 'pause') {
+            this.scene.togglePause();
+            return;
+        }
+        if (this.scene.menuManager.isOpen()) {
+            // Letters typed as initials must not move the menu focus.
+            if (!this.scene.menuManager.isTypingInitials() || action === 'commit') {
+                this.scene.menuManager.handleMenuAction(action);
+            }
+            return;
+        }
+        if (!this.scene.isPlayerInputEnabled()) {
+            return;
+        }
+        if (!this.cursorVisible) {
+            // The first key press only reveals the cursor where it was left.
+            this.cursorVisible = true;
+            return;
+        }
+        if (action === 'select') {
+            this.selectFocusedCircle();
+        } else if (action === 'commit') {
+            this.scene.activeBoard.commitSelectedChain();
+        } else if (action === 'cancel') {
+            this.scene.activeBoard.cancelSelectedChain();
+        } else if (action === 'up' || action === 'down') {
+            // Staggered rows have no neighbour straight above or below, so up and down lean
+            // towards the side the cursor last moved to.
+            const vertical = action === 'up' ? -1.7 : 1.7;
+            const horizontal = this.scene.activeBoard.boardModel.geometry.isStaggered ? this.lastHorizontalDirection : 0;
+            this.moveCursor([horizontal, vertical]);
+        } else if (DIRECTION_VECTORS[action]) {
+            this.moveCursor(DIRECTION_VECTORS[action]);
+        }
+    }
+
+    // Moves the focus to the neighbour of the focused circle that lies closest to the direction
+    // of 'vector'. Neighbours more than 60 degrees away from it are never picked.
+    moveCursor([vectorX, vectorY]) {
+        const board = this.scene.activeBoard;
+        const boardModel = board.boardModel;
+        const focusedCell = boardModel.getCell(this.focus.x, this.focus.y);
+        const from = board.getCirclePosition(focusedCell.x, focusedCell.y);
+        const vectorLength = Math.hypot(vectorX, vectorY);
+        let bestNeighbour = null;
+        let bestAlignment = 0.5;
+        boardModel.getNeighbours(focusedCell).forEach((neighbour) => {
+            const to = board.getCirclePosition(neighbour.x, neighbour.y);
+            const offsetX = to.x - from.x;
+            const offsetY = to.y - from.y;
+            const alignment = (offsetX * vectorX + offsetY * vectorY) / (Math.hypot(offsetX, offsetY) * vectorLength);
+            if (alignment > bestAlignment) {
+                bestAlignment = alignment;
+                bestNeighbour = neighbour;
+            }
+        });
+        if (vectorX !== 0) {
+            this.lastHorizontalDirection = Math.sign(vectorX);
+        }
+        if (bestNeighbour) {
+            this.focus = { x: bestNeighbour.x, y: bestNeighbour.y };
+        }
+    }
+
+    selectFocusedCircle() {
+        const board = this.scene.activeBoard;
+        if (board.boardRefillHappening) {
+            return;
+        }
+        board.selectCircle(board.board[this.focus.x][this.focus.y]);
+    }
+
+    // Called at the start of every game. The board may be smaller than the last one, so the
+    // cursor starts over in the top left corner.
+    reset() {
+        this.focus = { x: 0, y: 0 };
+        this.hideCursor();
+    }
+
+    // Called when the pointer is used, the cursor is hidden until the next key press.
+    hideCursor() {
+        this.cursorVisible = false;
+        this.scene.visualEffectsManager.clearFocusIndicator();
+    }
+
+    // This function is called every frame. It polls the gamepad's left stick (which repeats
+    // while held) and redraws the focus indicator, as the focused circle may be moving.
+    update(delta) {
+        const pad = this.scene.input.gamepad && this.scene.input.gamepad.pad1;
+        this.stickRepeatTime = Math.max(0, this.stickRepeatTime - delta);
+        if (pad && this.stickRepeatTime === 0 && this.scene.isPlayerInputEnabled()) {
+            const { x, y } = pad.leftStick;
+            if (Math.hypot(x, y) > STICK_THRESHOLD) {
+                this.stickRepeatTime = STICK_REPEAT_DELAY;
+                if (this.cursorVisible) {
+                    this.moveCursor([x, y]);
+                }
+                this.cursorVisible = true;
+            }
+        }
+
+        if (this.cursorVisible && this.scene.isPlayerInputEnabled()) {
+            this.scene.visualEffectsManager.drawFocusIndicator(this.scene.activeBoard.board[this.focus.x][this.focus.y]);
+        } else {
+            this.scene.visualEffectsManager.clearFocusIndicator();
+        }
+    }
+}
@@ -0,0 +1,33 @@
+// Helpers for moving JSON data in and out of the browser as files. These are used by anything
+// that can be exported or imported by the player.
+
+// Offers 'data' to the player as a downloadable JSON file called 'fileName'.
+export function downloadJson(fileName, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Opens a file picker and calls 'onLoad' with the parsed contents of the chosen JSON file.
+// 'onError' is called if the file can not be read or is not valid JSON.
+export function pickJsonFile(onLoad, onError = (error) => console.warn(error)) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) {
+            return;
+        }
+        file.text()
+            .then(text => onLoad(JSON.parse(text)))
+            .catch(onError);
+    });
+    input.click();
+}
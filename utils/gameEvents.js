@@ -0,0 +1,85 @@
+// The events the mainScene emits on its GameEventBus (scene.gameEvents) while a game is played.
+// Tools that observe the game, such as plugins (see plugins.js), subscribe to these instead of
+// patching the scene. Every event has a single payload object, listed below. Cells are the
+// BoardModel cells { id, type, color, x, y }; listeners must treat them as read only. 'board' is
+// the index of the board the event happened on, which is always 0 outside of split screen games.
+//
+// gameStarted     { modeId, seed, levelId, isReplay, config, colors }
+//                 'levelId' is null outside of the campaign, 'config' is the board configuration
+//                 and rules as stored in replays, 'colors' the palette indices of the board.
+// chainStarted    { board, cell }
+// dotAdded        { board, cell, chainLength }
+// dotRemoved      { board, cell, chainLength }
+//                 'chainLength' is the length of the chain after the dot was added or removed.
+// loopFormed      { board, color, cells }
+//                 'cells' are every cell the loop will clear if it is committed.
+// chainCommitted  { board, player, chain, clearedCells, isLoop, isBonusChain, points, comboMultiplier, score }
+//                 'points' were added for the chain to the index of the 'player' who played it,
+//                 'comboMultiplier' is 1 unless the chain continued a combo (see scoring.js),
+//                 'score' is the new total of that player.
+// scoreChanged    { board, player, points, score }
+//                 Emitted whenever points are added, for chains as well as for dropped anchors.
+// boardRefilled   { board, shuffled }
+//                 Emitted once the cleared circles have been replaced and every falling circle
+//                 has landed. 'shuffled' tells whether the board had no move left and is about to
+//                 be shuffled.
+// gameOver        { modeId, score, playerScores, longestChain, loops, levelId, isReplay }
+//                 'playerScores' holds the score of every player, a single one outside of versus
+//                 games.
+export const GAME_EVENTS = Object.freeze({
+    GAME_STARTED: 'gameStarted',
+    CHAIN_STARTED: 'chainStarted',
+    DOT_ADDED: 'dotAdded',
+    DOT_REMOVED: 'dotRemoved',
+    LOOP_FORMED: 'loopFormed',
+    CHAIN_COMMITTED: 'chainCommitted',
+    SCORE_CHANGED: 'scoreChanged',
+    BOARD_REFILLED: 'boardRefilled',
+    GAME_OVER: 'gameOver',
+});
+
+const EVENT_NAMES = Object.values(GAME_EVENTS);
+
+// A small event emitter that only knows the GAME_EVENTS, so a misspelled event name fails loudly
+// instead of never firing. A listener that throws is reported and does not stop the other
+// listeners or the game. It has no dependency on Phaser.
+export class GameEventBus {
+    constructor() {
+        this.listeners = new Map(EVENT_NAMES.map(eventName => [eventName, []]));
+    }
+
+    static checkEventName(eventName) {
+        if (!EVENT_NAMES.includes(eventName)) {
+            throw new Error(`Unknown game event "${eventName}".`);
+        }
+    }
+
+    // Calls 'listener' with the payload of every 'eventName' event. Returns a function that
+    // removes the listener again.
+    on(eventName, listener) {
+        GameEventBus.checkEventName(eventName);
+        this.listeners.get(eventName).push(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    off(eventName, listener) {
+        GameEventBus.checkEventName(eventName);
+        const listeners = this.listeners.get(eventName);
+        const index = listeners.indexOf(listener);
+        if (index >= 0) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(eventName, payload) {
+        GameEventBus.checkEventName(eventName);
+        // Listeners may unsubscribe while the event is being handled.
+        [...this.listeners.get(eventName)].forEach((listener) => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.warn(`A listener of the ${eventName} event failed: ${error.message}`);
+            }
+        });
+    }
+}
@@ -0,0 +1,457 @@
+import * as Constants from '../constants/constants.js';
+import { getStars } from './campaign.js';
+import { GAME_EVENTS } from './gameEvents.js';
+
+// A GameMode decides how a game run ends, what is shown in the status area of the HUD and what
+// the game over summary says. The mainScene only talks to its current mode through the methods
+// below, so a new mode can be added by extending this class and registering it in GAME_MODES
+// without touching the mainScene. 'playerCount' is the number of players that take part and
+// 'boardCount' the number of boards the scene shows side by side. The 'label' of a mode is the key
+// of its name in the locale files (see localization.js), like the labels of the bot strategies,
+// board geometries, settings and achievements.
+export class GameMode {
+    static id = 'base';
+    static label = '';
+    static playerCount = 1;
+    static boardCount = 1;
+
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    get playerCount() {
+        return this.constructor.playerCount;
+    }
+
+    get boardCount() {
+        return this.constructor.boardCount;
+    }
+
+    // The index of the player whose turn it is, or null when the players do not take turns.
+    get activePlayerIndex() {
+        return null;
+    }
+
+    // Called once the board has been created at the start of a game. When a saved game is
+    // continued 'savedState' is what getSavedState returned when it was saved.
+    start(savedState = null) {}
+
+    // Returns the state of the mode that is needed to continue the game later, as plain data.
+    getSavedState() {
+        return null;
+    }
+
+    // Called every frame while the game is running, modes use this to refresh their HUD text.
+    update() {}
+
+    // Called each time the player successfully clears a chain. 'circlesCleared' is the number
+    // of circles removed from the board, 'clearedCells' are their BoardModel cells and 'isLoop'
+    // tells whether the chain was a loop.
+    onChainCleared(circlesCleared, clearedCells, isLoop) {}
+
+    // Checked once the board has refilled after a clear. Returning true ends the game.
+    isOver() {
+        return false;
+    }
+
+    // Whether the players may play right now. Input is ignored while this returns false.
+    acceptsInput() {
+        return true;
+    }
+
+    // Shows the time left on 'this.countdown' for modes that have one, and plays a tick every
+    // second once the countdown reaches its last COUNTDOWN_WARNING_SECONDS. 'label' is shown in
+    // front of the time, by default "Time" in the current language.
+    updateCountdown(label) {
+        if (!this.countdown || this.countdown.getProgress() >= 1) {
+            return;
+        }
+        const remainingSeconds = this.countdown.getRemainingSeconds();
+        this.scene.gameStateDisplayManager.setCountdownText(remainingSeconds, label);
+        const wholeSecondsLeft = Math.ceil(remainingSeconds);
+        if (wholeSecondsLeft <= Constants.COUNTDOWN_WARNING_SECONDS && wholeSecondsLeft !== this.lastTickSecond) {
+            this.lastTickSecond = wholeSecondsLeft;
+            this.scene.audioManager.playTick(wholeSecondsLeft);
+        }
+    }
+
+    // Called when the game ends so the mode can clean up timers and HUD elements.
+    end() {
+        this.scene.gameStateDisplayManager.setStatusText(null);
+    }
+
+    t(key, params) {
+        return this.scene.localization.t(key, params);
+    }
+
+    // Returns the two lines of text shown on the game over menu, in the current language.
+    getSummary(score, highScore) {
+        return [this.t('summary.lastScore', { score }), this.t('summary.highScore', { score: highScore })];
+    }
+}
+
+// The original mode: score as many points as possible before the countdown (the
+// gameLength setting) runs out.
+export class TimedMode extends GameMode {
+    static id = 'timed';
+    static label = 'modes.timed';
+
+    start(savedState = null) {
+        this.countdown = this.scene.time.addEvent({
+            delay: savedState ? savedState.remainingTime : this.scene.settings.gameLength,
+            callback: this.scene.endGame,
+            callbackScope: this.scene,
+            loop: false
+        });
+    }
+
+    getSavedState() {
+        return { remainingTime: this.countdown.getRemaining() };
+    }
+
+    update() {
+        this.updateCountdown();
+    }
+
+    end() {
+        this.countdown.remove();
+        super.end();
+    }
+}
+
+// The player has a fixed number of successful clears (the movesLimit setting) to score as many
+// points as possible.
+export class MovesMode extends GameMode {
+    static id = 'moves';
+    static label = 'modes.moves';
+
+    start(savedState = null) {
+        this.movesLimit = this.scene.settings.movesLimit;
+        this.movesRemaining = savedState ? savedState.movesRemaining : this.movesLimit;
+        this.scene.gameStateDisplayManager.setMovesRemainingText(this.movesRemaining);
+    }
+
+    getSavedState() {
+        return { movesRemaining: this.movesRemaining };
+    }
+
+    onChainCleared() {
+        this.movesRemaining -= 1;
+        this.scene.gameStateDisplayManager.setMovesRemainingText(this.movesRemaining);
+    }
+
+    isOver() {
+        return this.movesRemaining <= 0;
+    }
+
+    getSummary(score, highScore) {
+        return [this.t('summary.movesScore', { moves: this.movesLimit, score }), this.t('summary.highScore', { score: highScore })];
+    }
+}
+
+// An untimed mode without an end condition. The game only ends when the player presses the end
+// button shown in the HUD.
+export class ZenMode extends GameMode {
+    static id = 'zen';
+    static label = 'modes.zen';
+
+    start(savedState = null) {
+        this.circlesCleared = savedState ? savedState.circlesCleared : 0;
+        this.scene.gameStateDisplayManager.setStatusText(this.t('modes.zen'));
+        this.scene.gameStateDisplayManager.showEndGameButton(() => this.scene.endGame());
+    }
+
+    getSavedState() {
+        return { circlesCleared: this.circlesCleared };
+    }
+
+    onChainCleared(circlesCleared) {
+        this.circlesCleared += circlesCleared;
+    }
+
+    end() {
+        this.scene.gameStateDisplayManager.hideEndGameButton();
+        super.end();
+    }
+
+    getSummary(score, highScore) {
+        return [this.t('summary.score', { score }), this.t('summary.dotsCleared', { count: this.circlesCleared })];
+    }
+}
+
+// Plays the scene's current campaign level (see campaign.js). The level decides whether the
+// player has a number of moves or a countdown, and the game ends as soon as every objective is
+// complete or when the moves or the time run out. The progress of the objectives is shown in the
+// HUD below the status text. This mode is started from the level select screen, so it is not
+// part of GAME_MODES.
+export class CampaignMode extends GameMode {
+    static id = 'campaign';
+    static label = 'modes.campaign';
+
+    start(savedState = null) {
+        this.level = this.scene.level;
+        const state = savedState || {
+            movesRemaining: this.level.moves || null,
+            remainingTime: this.level.time,
+            loops: 0,
+            clearedByColor: {},
+        };
+        this.movesRemaining = state.movesRemaining;
+        this.loops = state.loops;
+        this.clearedByColor = { ...state.clearedByColor };
+        if (this.level.time) {
+            this.countdown = this.scene.time.addEvent({
+                delay: state.remainingTime,
+                callback: this.scene.endGame,
+                callbackScope: this.scene,
+                loop: false
+            });
+        } else {
+            this.scene.gameStateDisplayManager.setMovesRemainingText(this.movesRemaining);
+        }
+        this.updateObjectives();
+    }
+
+    // The score can also change without a chain being cleared (anchors), so the objectives are
+    // refreshed every frame. The HUD only redraws them when their text changes.
+    update() {
+        this.updateCountdown();
+        this.updateObjectives();
+    }
+
+    onChainCleared(circlesCleared, clearedCells, isLoop) {
+        if (isLoop) {
+            this.loops += 1;
+        }
+        clearedCells.forEach((cell) => {
+            if (cell.color !== null) {
+                this.clearedByColor[cell.color] = (this.clearedByColor[cell.color] || 0) + 1;
+            }
+        });
+        if (this.movesRemaining !== null) {
+            this.movesRemaining -= 1;
+            this.scene.gameStateDisplayManager.setMovesRemainingText(this.movesRemaining);
+        }
+        this.updateObjectives();
+    }
+
+    getSavedState() {
+        return {
+            movesRemaining: this.movesRemaining,
+            remainingTime: this.countdown ? this.countdown.getRemaining() : null,
+            loops: this.loops,
+            clearedByColor: this.clearedByColor,
+        };
+    }
+
+    // Returns { objective, progress, complete } for every objective of the level.
+    getObjectiveProgress() {
+        return this.level.objectives.map((objective) => {
+            const progress = {
+                clearColor: this.clearedByColor[objective.color] || 0,
+                loops: this.loops,
+                score: this.scene.score,
+            }[objective.type];
+            return { objective, progress: Math.min(progress, objective.count), complete: progress >= objective.count };
+        });
+    }
+
+    objectivesComplete() {
+        return this.getObjectiveProgress().every(({ complete }) => complete);
+    }
+
+    updateObjectives() {
+        this.scene.gameStateDisplayManager.setObjectives(this.getObjectiveProgress());
+    }
+
+    isOver() {
+        return this.objectivesComplete() || this.movesRemaining === 0;
+    }
+
+    end() {
+        if (this.countdown) {
+            this.countdown.remove();
+        }
+        this.scene.gameStateDisplayManager.hideObjectives();
+        super.end();
+    }
+
+    // The stars the game earned, see getStars in campaign.js.
+    getStars() {
+        return getStars(this.level, this.objectivesComplete(), this.scene.score);
+    }
+
+    getSummary(score) {
+        return [this.t(this.objectivesComplete() ? 'summary.levelComplete' : 'summary.levelFailed'), this.t('summary.score', { score })];
+    }
+}
+
+// Returns the name of the player with the index 'playerIndex' in the language of 'localization',
+// as shown in versus games.
+export function getPlayerName(localization, playerIndex) {
+    return localization.t('versus.player', { number: playerIndex + 1 });
+}
+
+// The base of the local versus modes, in which two players compete for the higher score. The
+// points of each player are kept in the scene's 'playerScores'. These modes are started from the
+// versus screen of the menu, so they are not part of GAME_MODES.
+export class VersusMode extends GameMode {
+    static playerCount = 2;
+    static description = '';
+
+    // Returns the index of the player with the most points, or null for a draw.
+    getWinnerIndex() {
+        const scores = this.scene.playerScores;
+        const bestScore = Math.max(...scores);
+        return scores.filter(score => score === bestScore).length > 1 ? null : scores.indexOf(bestScore);
+    }
+
+    getSummary() {
+        const winnerIndex = this.getWinnerIndex();
+        const result = winnerIndex === null
+            ? this.t('summary.draw')
+            : this.t('summary.wins', { player: getPlayerName(this.scene.localization, winnerIndex) });
+        return [result, this.t(this.constructor.label)];
+    }
+}
+
+// The players take turns on the same board. Each turn lasts at most HOT_SEAT_TURN_TIME, when it
+// runs out the chain being built is dropped and the turn passes to the other player. A turn that
+// cleared a chain ends once the board has refilled, until then the timer stands still and nobody
+// can play. The game ends once every player has had the movesLimit setting's number of turns.
+export class HotSeatMode extends VersusMode {
+    static id = 'hotSeat';
+    static label = 'modes.hotSeat';
+    static description = 'modes.hotSeatDescription';
+
+    get activePlayerIndex() {
+        return this.currentPlayer;
+    }
+
+    start() {
+        this.turnsPerPlayer = this.scene.settings.movesLimit;
+        this.turnsTaken = Array(this.playerCount).fill(0);
+        this.currentPlayer = 0;
+        this.waitingForRefill = false;
+        this.removeRefillListener = this.scene.gameEvents.on(GAME_EVENTS.BOARD_REFILLED, () => this.onBoardRefilled());
+        this.startTurn();
+    }
+
+    // Hands the board to the current player and starts the timer of their turn.
+    startTurn() {
+        this.scene.activeBoard.playerIndex = this.currentPlayer;
+        if (this.countdown) {
+            this.countdown.remove();
+        }
+        this.countdown = this.scene.time.addEvent({
+            delay: Constants.HOT_SEAT_TURN_TIME,
+            callback: this.onTurnTimeUp,
+            callbackScope: this,
+            loop: false
+        });
+        this.lastTickSecond = null;
+        // Clearing the status text also resets its warning color for the new turn.
+        this.scene.gameStateDisplayManager.setStatusText(null);
+        this.scene.updateScoreBoard();
+    }
+
+    endTurn() {
+        this.turnsTaken[this.currentPlayer] += 1;
+        this.currentPlayer = (this.currentPlayer + 1) % this.playerCount;
+        if (this.isOver()) {
+            this.countdown.remove();
+        } else {
+            this.startTurn();
+        }
+    }
+
+    onTurnTimeUp() {
+        this.scene.activeBoard.dropPointer();
+        this.scene.activeBoard.cancelSelectedChain();
+        this.endTurn();
+        if (this.isOver()) {
+            this.scene.endGame();
+        }
+    }
+
+    update() {
+        this.updateCountdown(this.t('hud.turn', {
+            number: this.currentPlayer + 1,
+            turn: this.turnsTaken[this.currentPlayer] + 1,
+            turns: this.turnsPerPlayer,
+        }));
+    }
+
+    onChainCleared() {
+        this.waitingForRefill = true;
+        this.countdown.paused = true;
+    }
+
+    onBoardRefilled() {
+        if (!this.waitingForRefill) {
+            return;
+        }
+        this.waitingForRefill = false;
+        this.endTurn();
+        if (this.isOver()) {
+            this.scene.endGame();
+        }
+    }
+
+    acceptsInput() {
+        return !this.waitingForRefill;
+    }
+
+    isOver() {
+        return this.turnsTaken.every(turns => turns >= this.turnsPerPlayer);
+    }
+
+    end() {
+        this.countdown.remove();
+        this.removeRefillListener();
+        super.end();
+    }
+}
+
+// Every player plays their own board, side by side, until the countdown (the gameLength setting)
+// runs out. Both boards are created from the same seed, so the players start on the same board
+// and every refill brings the same dots to both of them.
+export class SplitScreenMode extends VersusMode {
+    static id = 'splitScreen';
+    static label = 'modes.splitScreen';
+    static description = 'modes.splitScreenDescription';
+    static boardCount = 2;
+
+    start() {
+        this.countdown = this.scene.time.addEvent({
+            delay: this.scene.settings.gameLength,
+            callback: this.scene.endGame,
+            callbackScope: this.scene,
+            loop: false
+        });
+    }
+
+    update() {
+        this.updateCountdown();
+    }
+
+    end() {
+        this.countdown.remove();
+        super.end();
+    }
+}
+
+// All selectable modes, in the order they are shown on the start menu.
+export const GAME_MODES = [TimedMode, MovesMode, ZenMode];
+
+// The versus modes, in the order they are shown on the versus screen.
+export const VERSUS_MODES = [HotSeatMode, SplitScreenMode];
+
+export function createGameMode(modeId, scene) {
+    const Mode = [...GAME_MODES, ...VERSUS_MODES, CampaignMode].find(mode => mode.id === modeId) || TimedMode;
+    return new Mode(scene);
+}
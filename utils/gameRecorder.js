@@ -0,0 +1,70 @@
+export const REPLAY_VERSION = 1;
+
+// The GameRecorder class records everything needed to replay a game exactly: the seed and board
+// configuration the game was started with, and every chain the player committed. Because the
+// BoardModel is deterministic for a given seed, re-committing the same chains in the same order
+// reproduces every refill of the original game. Each move stores the ordered grid coordinates of
+// the chain, whether it was a loop and the time (in milliseconds of game time since the start of
+// the game) at which it was committed.
+export class GameRecorder {
+    constructor({ seed, modeId, config }) {
+        this.seed = seed;
+        this.modeId = modeId;
+        this.config = config;
+        this.moves = [];
+        this.duration = 0;
+    }
+
+    recordChain(chain, isLoop, time) {
+        this.moves.push({
+            chain: chain.map(cell => [cell.x, cell.y]),
+            loop: isLoop,
+            time: Math.round(time),
+        });
+    }
+
+    // Called when the game ends, 'time' is the total game time.
+    finish(time) {
+        this.duration = Math.round(time);
+    }
+
+    // Continues recording a game that was saved before it was over, 'json' is the toJSON of the
+    // recorder at that time.
+    static resume(json) {
+        const recorder = new GameRecorder({ seed: json.seed, modeId: json.mode, config: json.config });
+        recorder.moves = [...json.moves];
+        return recorder;
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            mode: this.modeId,
+            config: this.config,
+            duration: this.duration,
+            moves: this.moves,
+        };
+    }
+
+    // Checks that 'json' is a replay this version of the game can play and returns it. Throws an
+    // error if it is not.
+    static parseReplay(json) {
+        if (!json || typeof json !== 'object') {
+            throw new Error('Not a valid replay file.');
+        }
+        if (json.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${json.version}`);
+        }
+        const isCoordinate = coord => Array.isArray(coord) && coord.length === 2 && coord.every(Number.isInteger);
+        const isValidMove = move => move
+            && Array.isArray(move.chain) && move.chain.length > 1 && move.chain.every(isCoordinate)
+            && typeof move.loop === 'boolean'
+            && Number.isFinite(move.time);
+        if (!Number.isInteger(json.seed) || typeof json.mode !== 'string' || !json.config
+            || !Array.isArray(json.moves) || !json.moves.every(isValidMove)) {
+            throw new Error('Not a valid replay file.');
+        }
+        return json;
+    }
+}
@@ -0,0 +1,146 @@
+import * as Constants from '../constants/constants.js';
+import { BOARD_GEOMETRIES, HexGeometry } from './boardGeometry.js';
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const SETTINGS_KEY = 'dots.settings';
+
+// The allowed range of every setting. Values outside of a range are clamped and values between
+// steps are rounded to the nearest step. The smallest board is the default board, as the menus
+// need at least that much room.
+export const SETTING_RANGES = {
+    gridWidth: { label: 'settings.gridWidth', min: 6, max: 12, step: 1 },
+    gridHeight: { label: 'settings.gridHeight', min: 8, max: 12, step: 1 },
+    circleColors: { label: 'settings.circleColors', min: 3, max: Constants.COLOR_OPTIONS.length, step: 1 },
+    bonusChainLength: { label: 'settings.bonusChainLength', min: 4, max: 20, step: 1 },
+    gameLength: { label: 'settings.gameLength', min: 10000, max: 120000, step: 5000 },
+    movesLimit: { label: 'settings.movesLimit', min: 5, max: 50, step: 5 },
+};
+
+export const DEFAULT_SETTINGS = {
+    gridWidth: Constants.GRID_WIDTH,
+    gridHeight: Constants.GRID_HEIGHT,
+    circleColors: Constants.CIRCLE_COLORS,
+    bonusChainLength: Constants.BONUS_CHAIN_LENGTH,
+    gameLength: Constants.GAME_LENGTH,
+    movesLimit: Constants.MOVES_LIMIT,
+};
+
+// The idle times (in milliseconds) after which a hint can be shown, 0 turns the idle hints off.
+// The hint key shows a hint either way.
+export const HINT_DELAYS = [0, 3000, 5000, 10000, 15000];
+
+export const DIFFICULTY_PRESETS = [
+    {
+        id: 'easy',
+        label: 'presets.easy',
+        values: { gridWidth: 6, gridHeight: 8, circleColors: 4, bonusChainLength: 8, gameLength: 45000, movesLimit: 25 },
+    },
+    { id: 'normal', label: 'presets.normal', values: DEFAULT_SETTINGS },
+    {
+        id: 'hard',
+        label: 'presets.hard',
+        values: { gridWidth: 7, gridHeight: 9, circleColors: 6, bonusChainLength: 12, gameLength: 25000, movesLimit: 15 },
+    },
+];
+
+// The GameSettings class holds the board size, number of colors, bonus chain length, game length
+// and moves limit the player has chosen, as well as the id of the board geometry (see
+// BOARD_GEOMETRIES) and the hint delay (see HINT_DELAYS), which the presets leave alone. These
+// start out as the defaults in constants.js and are persisted whenever they change. The size of the game area is derived from the board size, so
+// it is exposed here as well instead of as a constant.
+export class GameSettings {
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+        this.saved = { ...DEFAULT_SETTINGS, ...loadJson(this.storage, SETTINGS_KEY, {}) };
+        this.applyValues(this.saved);
+    }
+
+    static clamp(name, value) {
+        const { min, max, step } = SETTING_RANGES[name];
+        if (!Number.isFinite(value)) {
+            return DEFAULT_SETTINGS[name];
+        }
+        const stepped = min + Math.round((value - min) / step) * step;
+        return Math.min(max, Math.max(min, stepped));
+    }
+
+    applyValues(values) {
+        Object.keys(SETTING_RANGES).forEach((name) => {
+            this[name] = GameSettings.clamp(name, values[name]);
+        });
+        const isGeometry = BOARD_GEOMETRIES.some(geometry => geometry.id === values.geometry);
+        this.geometry = isGeometry ? values.geometry : HexGeometry.id;
+        this.hintDelay = HINT_DELAYS.includes(values.hintDelay) ? values.hintDelay : Constants.HINT_IDLE_TIME;
+    }
+
+    getValues() {
+        const values = {};
+        Object.keys(SETTING_RANGES).forEach((name) => {
+            values[name] = this[name];
+        });
+        values.geometry = this.geometry;
+        values.hintDelay = this.hintDelay;
+        return values;
+    }
+
+    save() {
+        this.saved = this.getValues();
+        saveJson(this.storage, SETTINGS_KEY, this.saved);
+    }
+
+    set(name, value) {
+        this[name] = GameSettings.clamp(name, value);
+        this.save();
+    }
+
+    // Moves the setting 'name' one step up (direction 1) or down (direction -1).
+    step(name, direction) {
+        this.set(name, this[name] + direction * SETTING_RANGES[name].step);
+    }
+
+    applyPreset(presetId) {
+        const preset = DIFFICULTY_PRESETS.find(candidate => candidate.id === presetId);
+        this.applyValues({ ...this.getValues(), ...preset.values });
+        this.save();
+    }
+
+    // Switches to the geometry after the current one in BOARD_GEOMETRIES.
+    nextGeometry() {
+        const index = BOARD_GEOMETRIES.findIndex(geometry => geometry.id === this.geometry);
+        this.geometry = BOARD_GEOMETRIES[(index + 1) % BOARD_GEOMETRIES.length].id;
+        this.save();
+    }
+
+    // Moves the hint delay to the next longer (direction 1) or shorter (direction -1) one of the
+    // HINT_DELAYS, stopping at the first and the last one.
+    stepHintDelay(direction) {
+        const index = HINT_DELAYS.indexOf(this.hintDelay) + direction;
+        this.hintDelay = HINT_DELAYS[Math.min(HINT_DELAYS.length - 1, Math.max(0, index))];
+        this.save();
+    }
+
+    // Returns the id of the preset the current values match, or null for custom values.
+    getActivePresetId() {
+        const preset = DIFFICULTY_PRESETS.find(candidate =>
+            Object.keys(SETTING_RANGES).every(name => candidate.values[name] === this[name]));
+        return preset ? preset.id : null;
+    }
+
+    // Temporarily uses 'values' (for example those a replay was recorded with) without
+    // persisting them. restoreSaved switches back to the player's own settings.
+    override(values) {
+        this.applyValues({ ...this.saved, ...values });
+    }
+
+    restoreSaved() {
+        this.applyValues(this.saved);
+    }
+
+    get gameWidth() {
+        return this.gridWidth * Constants.CELL_SIZE + 2 * Constants.VIEW_PADDING_X;
+    }
+
+    get gameHeight() {
+        return this.gridHeight * Constants.CELL_SIZE + 2 * Constants.VIEW_PADDING_Y;
+    }
+}
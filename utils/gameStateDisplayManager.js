@@ -1,66 +1,314 @@
 import * as Constants from '../constants/constants.js';
+import { formatMultiplier } from './scoring.js';
+import { toCssColor } from './theme.js';
 
-// The GameStateDisplayManager handles all of the non-moving game state information during
-// the runtime of the game. It displays the scoreboard, the countdown timer, as well as the
-// 'pointToBeAdded' the is displayed when the player is building a chain. This class exposes
-// functions to the mainScene so that it doesn't need to be concerned with exactly how the 
-// information is being displayed.
+// The GameStateDisplayManager handles all of the non-moving game state information during the
+// runtime of the game: the scoreboard (or the score of every player in versus games), the status
+// of the current game mode and the 'pointsToBeAdded' text with the combo multiplier below each
+// board. This class exposes functions to the mainScene so that it doesn't need to be concerned
+// with exactly how the information is being displayed.
 export class GameStateDisplayManager {
     constructor(scene) {
         this.scene = scene;
 
-        this.countdownText = this.scene.add.text(10, 20, '', { fontSize: '16px', fill: '#000000' });
-        this.pointsToBeAddedText = this.scene.add.text(60, Constants.GAME_HEIGHT - 55, ``, { fontSize: '16px', fill: '#000000' });
-        this.scoreBoardText = this.scene.add.text(100, Constants.GAME_HEIGHT - 35, '', { fontSize: '16px', fill: '#000000' });
-        this.scoreBoardText.setX((Constants.GAME_WIDTH - this.scoreBoardText.width) / 2);
-        this.WARNING_COLOR = 0xe84d60;
+        this.statusText = this.createText(10, 20, '', '16px');
+        this.pointsToBeAddedTexts = [];
+        this.comboTexts = [];
+        this.scoreBoardText = this.createText(100, 0, '', '16px');
+        this.playerScoreTexts = [];
         this.warningSet = false;
+        this.replayControls = [];
+        this.objectiveTexts = [];
+        this.objectivesKey = null;
+        this.updateLayout();
+    }
+
+    // This function is called whenever the size of the game changes. The texts below the board
+    // move with its bottom edge and every text is centered again.
+    updateLayout() {
+        const { gameHeight } = this.scene.settings;
+        const gameWidth = this.scene.getViewWidth();
+        this.pointsToBeAddedTexts.forEach((pointsToBeAddedText, boardIndex) => {
+            pointsToBeAddedText.setY(gameHeight - 55);
+            pointsToBeAddedText.setX(this.getBoardCenterX(boardIndex) - pointsToBeAddedText.width / 2);
+        });
+        this.comboTexts.forEach((comboText, boardIndex) => {
+            comboText.setPosition(this.getBoardRightX(boardIndex), gameHeight - 53);
+        });
+        this.scoreBoardText.setY(gameHeight - 35);
+        this.scoreBoardText.setX((gameWidth - this.scoreBoardText.width) / 2);
+        this.statusText.setX((gameWidth - this.statusText.width) / 2);
+        this.positionPlayerScores();
+    }
+
+    getBoardCenterX(boardIndex) {
+        return (boardIndex + 0.5) * this.scene.settings.gameWidth;
+    }
+
+    getBoardRightX(boardIndex) {
+        return (boardIndex + 1) * this.scene.settings.gameWidth - 10;
+    }
+
+    get theme() {
+        return this.scene.themeManager.theme;
+    }
+
+    t(key, params) {
+        return this.scene.localization.t(key, params);
+    }
+
+    createText(x, y, text, fontSize, color = this.theme.hud.text) {
+        return this.scene.add.text(x, y, text, { fontSize, fontFamily: this.theme.fonts.text, fill: toCssColor(color) });
+    }
+
+    createHudButton(x, y, text, onClick) {
+        const button = this.createText(x, y, text, '14px').setOrigin(0.5);
+        button.setInteractive({ useHandCursor: true });
+        button.on('pointerdown', onClick);
+        button.on('pointerover', () => button.setColor(toCssColor(this.theme.hud.warning)));
+        button.on('pointerout', () => button.setColor(toCssColor(this.theme.hud.text)));
+        return button;
+    }
+
+    // Called by the scene after the theme changed. Every text that is shown is restyled in place,
+    // the objectives are drawn again.
+    applyTheme() {
+        const hudTexts = [this.scoreBoardText, ...this.playerScoreTexts, ...this.replayControls, this.endGameButton, this.pauseButton]
+            .filter(Boolean);
+        hudTexts.forEach(text => text.setColor(toCssColor(this.theme.hud.text)));
+        this.comboTexts.forEach(text => text.setColor(toCssColor(this.theme.hud.warning)));
+        // The points to be added are shown in the color of the chain.
+        [...hudTexts, this.statusText, ...this.pointsToBeAddedTexts, ...this.comboTexts].forEach(text => text.setFontFamily(this.theme.fonts.text));
+        this.statusText.setColor(toCssColor(this.warningSet ? this.theme.hud.warning : this.theme.hud.text));
+        if (this.objectiveTexts.length > 0) {
+            this.objectivesKey = null;
+            this.setObjectives(this.objectiveProgress);
+        }
+        this.updateLayout();
+    }
+
+    // Returns the 'pointsToBeAdded' text of the board with the index 'boardIndex', it is created
+    // the first time that board needs it.
+    getPointsToBeAddedText(boardIndex) {
+        if (!this.pointsToBeAddedTexts[boardIndex]) {
+            this.pointsToBeAddedTexts[boardIndex] = this.createText(0, this.scene.settings.gameHeight - 55, '', '16px');
+        }
+        return this.pointsToBeAddedTexts[boardIndex];
     }
 
     // This function is called each time the player adds or removes another circle to/from their
-    // chain. 'circlesInChain' is the number of circles currently in the players chain and the 
-    // 'color' of the circles that are currently being captured.  
-    setPointsToBeAddedText(circlesInChain, color) {
-        if (color) {
-            this.pointsToBeAddedText.setColor(`#${color.toString(16)}`);
+    // chain on 'board'. 'score' is what the chain would score if it was committed now (see
+    // ScoringRules.scoreChain), null while there is no chain to score, and 'color' the color of
+    // the circles that are currently being captured.
+    setPointsToBeAddedText(board, score, color) {
+        const pointsToBeAddedText = this.getPointsToBeAddedText(board.index);
+        if (color !== null) {
+            pointsToBeAddedText.setColor(toCssColor(color));
         }
-        if (circlesInChain <= 1) {
-            this.pointsToBeAddedText.setText('');
+        if (score === null) {
+            pointsToBeAddedText.setText('');
         } else {
-            if (this.scene.loopCreated && this.scene.allSimilarColorCircles !== null) {
-                circlesInChain = this.scene.allSimilarColorCircles.length;
-            }
-            // Points are doubled if you capture 10 or more, so we want to make sure to include
-            // that in this display as well!
-            this.pointsToBeAddedText.setText(
-                `+ ${circlesInChain}${circlesInChain >= 10 ? " X2!" : "!"}`);
+            // The points of a bonus chain or a combo are multiplied, so we want to make sure to
+            // include that in this display as well!
+            pointsToBeAddedText.setText(score.multiplier !== 1
+                ? this.t('hud.pointsToAddMultiplied', {
+                    points: score.basePoints,
+                    multiplier: formatMultiplier(score.multiplier, this.scene.localization),
+                })
+                : this.t('hud.pointsToAdd', { points: score.basePoints }));
+        }
+        pointsToBeAddedText.setX(board.centerX - pointsToBeAddedText.width / 2);
+    }
+
+    // Shows the combo 'multiplier' the next chain on 'board' earns at the right edge of the board,
+    // nothing while there is no combo. The text is created the first time the board has a combo.
+    setComboMultiplier(board, multiplier) {
+        if (!this.comboTexts[board.index]) {
+            this.comboTexts[board.index] = this.createText(0, 0, '', '14px', this.theme.hud.warning).setOrigin(1, 0);
+            this.updateLayout();
         }
-        this.pointsToBeAddedText.setX(
-            (Constants.GAME_WIDTH - this.pointsToBeAddedText.width) / 2);
+        this.comboTexts[board.index].setText(multiplier > 1
+            ? this.t('hud.combo', { multiplier: formatMultiplier(multiplier, this.scene.localization) })
+            : '');
     }
 
-    // This function is called each time the update() method is called in our main scene.
-    // It updates the countdown text with the current time and updates the color during the
-    // last five seconds.  
-    setCountdownText(timeRemaining) {
-        this.countdownText.setText(timeRemaining !== null ? 'Time: ' + timeRemaining : '');
-        if (parseFloat(timeRemaining) <= 5.00 && !this.warningSet) {
+    // The status text sits at the top of the board and is owned by the current game mode. Once
+    // 'isWarning' has been passed the text stays in the warning color until the text is cleared.
+    setStatusText(text, isWarning = false) {
+        this.statusText.setText(text !== null ? text : '');
+        if (isWarning && !this.warningSet) {
             this.warningSet = true;
-            this.countdownText.setColor(`#${this.WARNING_COLOR.toString(16)}`);
+            this.statusText.setColor(toCssColor(this.theme.hud.warning));
+        }
+        if (text === null) {
+            this.warningSet = false;
+            this.statusText.setColor(toCssColor(this.theme.hud.text));
+        }
+        this.statusText.setX((this.scene.getViewWidth() - this.statusText.width) / 2);
+    }
+
+    // This function is called by the timed game mode each time the update() method is called in
+    // our main scene. It updates the countdown text with the current time and updates the color
+    // during the last five seconds. 'timeRemaining' is in seconds and 'label' is shown in front of
+    // the time.
+    setCountdownText(timeRemaining, label = this.t('hud.time')) {
+        if (timeRemaining === null) {
+            this.setStatusText(null);
+            return;
+        }
+        const time = this.scene.localization.formatNumber(timeRemaining, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        this.setStatusText(this.t('hud.countdown', { label, time }), timeRemaining <= Constants.COUNTDOWN_WARNING_SECONDS);
+    }
+
+    // This function is called by the moves game mode each time a move is used up. The color
+    // changes for the last three moves.
+    setMovesRemainingText(movesRemaining) {
+        this.setStatusText(this.t('hud.moves', { moves: movesRemaining }), movesRemaining <= 3);
+    }
+
+    // Shows a small button below the board that ends the game early, used by modes that have
+    // no end condition of their own.
+    showEndGameButton(onClick) {
+        this.hideEndGameButton();
+        this.endGameButton = this.createHudButton(this.scene.getViewWidth() - 25, 28, this.t('hud.end'), onClick);
+    }
+
+    hideEndGameButton() {
+        if (this.endGameButton) {
+            this.endGameButton.destroy();
+            this.endGameButton = null;
         }
-        this.countdownText.setX((Constants.GAME_WIDTH - this.countdownText.width) / 2);
     }
 
-    setScoreBoardText(text) {
-        this.scoreBoardText.setText(text !== null ? `Score: ${text}` : '');
-        this.scoreBoardText.setX((Constants.GAME_WIDTH - this.scoreBoardText.width) / 2);
+    // Shows the button that pauses the game in the top left corner while a game is running.
+    showPauseButton(onClick) {
+        this.hidePauseButton();
+        this.pauseButton = this.createHudButton(30, 28, this.t('hud.pause'), onClick);
+    }
+
+    hidePauseButton() {
+        if (this.pauseButton) {
+            this.pauseButton.destroy();
+            this.pauseButton = null;
+        }
+    }
+
+    // Shows the pause/play, speed and stop buttons below the scoreboard while a replay is playing.
+    showReplayControls(replayPlayer) {
+        this.hideReplayControls();
+        const y = this.scene.settings.gameHeight - 14;
+        const centerX = this.scene.getViewWidth() / 2;
+        const pauseButton = this.createHudButton(centerX - 70, y, this.t('hud.pause'), () => {
+            replayPlayer.setPaused(!replayPlayer.paused);
+            pauseButton.setText(this.t(replayPlayer.paused ? 'hud.play' : 'hud.pause'));
+        });
+        const speedButton = this.createHudButton(centerX, y, this.t('hud.speed', { speed: replayPlayer.speed }), () => {
+            speedButton.setText(this.t('hud.speed', { speed: replayPlayer.cycleSpeed() }));
+        });
+        const stopButton = this.createHudButton(centerX + 70, y, this.t('hud.stop'), () => {
+            this.scene.endGame();
+        });
+        this.replayControls = [pauseButton, speedButton, stopButton];
+    }
+
+    hideReplayControls() {
+        this.replayControls.forEach(button => button.destroy());
+        this.replayControls = [];
+    }
+
+    // Shows the progress of the campaign objectives in a row below the status text. Each entry
+    // of 'objectiveProgress' is { objective, progress, complete } (see CampaignMode). Colors are
+    // shown as a dot in that color, completed objectives get a check mark. The texts are only
+    // recreated when they change.
+    setObjectives(objectiveProgress) {
+        this.objectiveProgress = objectiveProgress;
+        const entries = objectiveProgress.map(({ objective, progress, complete }) => {
+            const label = { clearColor: '\u25CF', loops: this.t('hud.loops'), score: this.t('hud.points') }[objective.type];
+            const color = objective.type === 'clearColor' ? this.scene.colorScheme.getColor(objective.color) : this.theme.hud.text;
+            const text = this.t('hud.objective', { label, progress, count: objective.count });
+            return { text: `${text}${complete ? ' \u2713' : ''}`, color };
+        });
+        const key = entries.map(({ text, color }) => `${text}:${color}`).join('|');
+        if (key === this.objectivesKey) {
+            return;
+        }
+        this.hideObjectives();
+        this.objectivesKey = key;
+        const spacing = 14;
+        this.objectiveTexts = entries.map(({ text, color }) => this.createText(0, 42, text, '12px', color));
+        const totalWidth = this.objectiveTexts.reduce((width, objectiveText) => width + objectiveText.width, 0)
+            + spacing * (this.objectiveTexts.length - 1);
+        let x = (this.scene.getViewWidth() - totalWidth) / 2;
+        this.objectiveTexts.forEach((objectiveText) => {
+            objectiveText.setX(x);
+            x += objectiveText.width + spacing;
+        });
+    }
+
+    hideObjectives() {
+        this.objectiveTexts.forEach(objectiveText => objectiveText.destroy());
+        this.objectiveTexts = [];
+        this.objectivesKey = null;
+    }
+
+    // Briefly shows 'text' in the middle of the game, or centered on 'x' when it is only about one
+    // of the boards, for example when that board is shuffled.
+    showNotice(text, x = this.scene.getViewWidth() / 2) {
+        const noticeText = this.createText(x, this.scene.settings.gameHeight / 2, text, '24px', this.theme.hud.warning)
+            .setFontStyle('bold')
+            .setOrigin(0.5)
+            .setDepth(1);
+        this.scene.time.delayedCall(900, () => noticeText.destroy());
+    }
+
+    setScoreBoardText(score) {
+        this.scoreBoardText.setText(score !== null ? this.t('hud.score', { score }) : '');
+        this.scoreBoardText.setX((this.scene.getViewWidth() - this.scoreBoardText.width) / 2);
+    }
+
+    // Shows the score of every player of a versus game in place of the scoreboard. The player
+    // whose turn it is ('activePlayerIndex', null when the players do not take turns) is marked
+    // and shown in bold.
+    setPlayerScores(scores, activePlayerIndex = null) {
+        if (this.playerScoreTexts.length !== scores.length) {
+            this.hidePlayerScores();
+            this.playerScoreTexts = scores.map(() => this.createText(0, 0, '', '16px'));
+        }
+        scores.forEach((score, playerIndex) => {
+            const isActive = playerIndex === activePlayerIndex;
+            this.playerScoreTexts[playerIndex].setText(`${isActive ? '> ' : ''}${this.t('hud.playerScore', { number: playerIndex + 1, score })}`);
+            this.playerScoreTexts[playerIndex].setFontStyle(isActive ? 'bold' : '');
+        });
+        this.positionPlayerScores();
+    }
+
+    // With a board per player every score sits below its own board, players that share a board
+    // share the width of the board below it.
+    positionPlayerScores() {
+        const playerCount = this.playerScoreTexts.length;
+        const slotWidth = this.scene.boardCount === playerCount
+            ? this.scene.settings.gameWidth
+            : this.scene.getViewWidth() / playerCount;
+        this.playerScoreTexts.forEach((playerScoreText, playerIndex) => {
+            playerScoreText.setY(this.scene.settings.gameHeight - 35);
+            playerScoreText.setX((playerIndex + 0.5) * slotWidth - playerScoreText.width / 2);
+        });
+    }
+
+    hidePlayerScores() {
+        this.playerScoreTexts.forEach(playerScoreText => playerScoreText.destroy());
+        this.playerScoreTexts = [];
     }
 
     clearAllText() {
-        this.setCountdownText(null);
-        this.countdownText.setColor(`#000000`);
-        this.warningSet = false;
+        this.setStatusText(null);
+        this.hideEndGameButton();
+        this.hidePauseButton();
+        this.hideReplayControls();
+        this.hideObjectives();
+        this.hidePlayerScores();
         this.setScoreBoardText(null);
-        this.setPointsToBeAddedText(0, null);
+        this.pointsToBeAddedTexts.forEach(pointsToBeAddedText => pointsToBeAddedText.setText(''));
+        this.comboTexts.forEach(comboText => comboText.setText(''));
     }
 }
\ No newline at end of file
@@ -0,0 +1,158 @@
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const PERSONAL_BESTS_KEY = 'dots.personalBests';
+const PERSONAL_BESTS_VERSION = 1;
+const STATS_VERSION = 1;
+
+// The statistics compared with the personal bests on the statistics screen, in the order they
+// are shown.
+export const PERSONAL_BEST_STATS = [
+    { name: 'score', label: 'stats.score' },
+    { name: 'dotsCleared', label: 'stats.dotsCleared' },
+    { name: 'longestChain', label: 'stats.longestChain' },
+    { name: 'loops', label: 'stats.loops' },
+    { name: 'bonusChains', label: 'stats.bonusChains' },
+    { name: 'averageChainLength', label: 'stats.averageChain' },
+];
+
+// The GameStats class collects the statistics of a single game while it is played. The scene
+// reports every committed chain and every point scored, together with the game time in
+// milliseconds they happened at, and the statistics screen reads the results once the game is
+// over. It has no dependency on Phaser.
+export class GameStats {
+    constructor({ modeId = null, seed = null } = {}) {
+        this.modeId = modeId;
+        this.seed = seed;
+        this.score = 0;
+        this.dotsCleared = 0;
+        this.clearsByColor = {};
+        this.chains = 0;
+        this.totalChainLength = 0;
+        this.longestChain = 0;
+        this.loops = 0;
+        this.bonusChains = 0;
+        this.pointsTimeline = [];
+        this.duration = 0;
+    }
+
+    // Called for every chain the player commits. 'clearedCells' are all of the cells the chain
+    // cleared, including the cells of a loop's color and those cleared by bombs.
+    recordChain(chain, clearedCells, isLoop, isBonusChain) {
+        const chainLength = new Set(chain).size;
+        this.chains += 1;
+        this.totalChainLength += chainLength;
+        this.longestChain = Math.max(this.longestChain, chainLength);
+        if (isLoop) {
+            this.loops += 1;
+        }
+        if (isBonusChain) {
+            this.bonusChains += 1;
+        }
+        this.recordClearedCells(clearedCells);
+    }
+
+    // Counts cleared cells by color, cells without a color (wildcards and anchors) only count
+    // towards the total.
+    recordClearedCells(cells) {
+        this.dotsCleared += cells.length;
+        cells.forEach((cell) => {
+            if (cell.color !== null) {
+                this.clearsByColor[cell.color] = (this.clearsByColor[cell.color] || 0) + 1;
+            }
+        });
+    }
+
+    recordPoints(points, time) {
+        this.score += points;
+        this.pointsTimeline.push({ time, points });
+    }
+
+    finish(time) {
+        this.duration = time;
+    }
+
+    // The counters of an unfinished game as plain data, GameStats.fromSavedState continues
+    // collecting from them.
+    getSavedState() {
+        return { ...this };
+    }
+
+    static fromSavedState(state) {
+        return Object.assign(new GameStats(), state);
+    }
+
+    get averageChainLength() {
+        return this.chains > 0 ? Math.round(this.totalChainLength / this.chains * 100) / 100 : 0;
+    }
+
+    // Splits the game into at most 'maxBuckets' periods of whole seconds and returns the points
+    // scored per second in each of them, in order.
+    getPointsPerSecond(maxBuckets = 20) {
+        const bucketLength = Math.max(1000, Math.ceil(this.duration / maxBuckets / 1000) * 1000);
+        const bucketCount = Math.max(1, Math.ceil(this.duration / bucketLength));
+        const buckets = Array(bucketCount).fill(0);
+        this.pointsTimeline.forEach(({ time, points }) => {
+            buckets[Math.min(bucketCount - 1, Math.floor(time / bucketLength))] += points;
+        });
+        return buckets.map(points => points / (bucketLength / 1000));
+    }
+
+    getSummary() {
+        const summary = {};
+        PERSONAL_BEST_STATS.forEach(({ name }) => {
+            summary[name] = this[name];
+        });
+        return summary;
+    }
+
+    // The statistics in the form they are exported.
+    toJSON() {
+        return {
+            version: STATS_VERSION,
+            mode: this.modeId,
+            seed: this.seed,
+            durationMs: Math.round(this.duration),
+            ...this.getSummary(),
+            chains: this.chains,
+            clearsByColor: this.clearsByColor,
+            pointsPerSecond: this.getPointsPerSecond(),
+            pointsTimeline: this.pointsTimeline.map(({ time, points }) => ({ time: Math.round(time), points })),
+        };
+    }
+}
+
+// The PersonalBests class remembers the best value of every PERSONAL_BEST_STATS statistic for
+// each leaderboard table (see Leaderboard.getTableKey), so games are only compared with games
+// played on the same board.
+export class PersonalBests {
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+        const data = loadJson(this.storage, PERSONAL_BESTS_KEY, null);
+        this.tables = data && data.version === PERSONAL_BESTS_VERSION && typeof data.tables === 'object' ? data.tables : {};
+    }
+
+    save() {
+        saveJson(this.storage, PERSONAL_BESTS_KEY, { version: PERSONAL_BESTS_VERSION, tables: this.tables });
+    }
+
+    // Compares the 'summary' of a finished game with the bests of 'tableKey'. Returns one
+    // { name, label, value, best, isNewBest } entry per statistic, where 'best' is the best
+    // before this game (null for the first game).
+    compare(tableKey, summary) {
+        const bests = this.tables[tableKey] || {};
+        return PERSONAL_BEST_STATS.map(({ name, label }) => {
+            const best = Number.isFinite(bests[name]) ? bests[name] : null;
+            const value = summary[name];
+            return { name, label, value, best, isNewBest: value > (best === null ? 0 : best) };
+        });
+    }
+
+    // Like compare, but also stores every statistic the game improved.
+    record(tableKey, summary) {
+        const comparison = this.compare(tableKey, summary);
+        this.tables[tableKey] = Object.fromEntries(comparison.map(({ name, value, best }) =>
+            [name, best === null ? value : Math.max(value, best)]));
+        this.save();
+        return comparison;
+    }
+}
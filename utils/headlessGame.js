@@ -0,0 +1,61 @@
+import { createBoardGeometry } from './boardGeometry.js';
+import { BoardModel } from './boardModel.js';
+import { createScoringRules } from './scoring.js';
+import { SeededRandom } from './seededRandom.js';
+
+// Mixed into the seed of a game to seed the strategy's own generator, so that the choices of a
+// random strategy do not change the refills of the board.
+const STRATEGY_SEED_SALT = 0x9E3779B9;
+
+// Plays a game of 'moves' chains without a scene, the way a moves game in the mainScene is
+// played: each chain is cleared, landed anchors are dropped and a board without a move is
+// shuffled. 'config' is a board configuration and rules as stored in replays, 'strategy' is one
+// of the BOT_STRATEGIES. The same seed, config and strategy always play the same game. Chains are
+// scored with the ScoringRules of the config, there is no clock so no chain continues a combo.
+//
+// Returns { seed, score, moves, loops, bonusChains, dotsCleared, deadBoards } where 'deadBoards'
+// counts the boards (including the initial one) that had no move left and were shuffled.
+export function playHeadlessGame({ config, seed, strategy, moves }) {
+    const boardModel = new BoardModel({
+        width: config.width,
+        height: config.height,
+        colorCount: config.colorCount,
+        specialDotRates: config.specialDotRates || {},
+        geometry: createBoardGeometry(config.geometry),
+        random: new SeededRandom(seed),
+    });
+    const scoringRules = createScoringRules(config);
+    const strategyRandom = new SeededRandom((seed ^ STRATEGY_SEED_SALT) >>> 0);
+    const result = { seed, score: 0, moves: 0, loops: 0, bonusChains: 0, dotsCleared: 0, deadBoards: 0 };
+    const shuffleIfDead = () => {
+        if (!boardModel.hasValidMove()) {
+            result.deadBoards += 1;
+            boardModel.shuffle();
+        }
+    };
+
+    boardModel.fill();
+    shuffleIfDead();
+    while (result.moves < moves) {
+        const chain = strategy.chooseChain(boardModel, strategyRandom);
+        if (!chain) {
+            break;
+        }
+        const cellsToClear = boardModel.getCellsToClear(chain);
+        const isLoop = boardModel.isLoop(chain);
+        const isBonusChain = cellsToClear.length >= config.bonusChainLength;
+        result.moves += 1;
+        result.loops += isLoop ? 1 : 0;
+        result.bonusChains += isBonusChain ? 1 : 0;
+        result.score += scoringRules.scoreChain(cellsToClear, isLoop).points;
+        result.dotsCleared += cellsToClear.length;
+        boardModel.clearCells(cellsToClear);
+        // Every dropped anchor is worth one point, like in the scene.
+        boardModel.dropLandedAnchors().forEach(({ anchors }) => {
+            result.score += anchors.length;
+            result.dotsCleared += anchors.length;
+        });
+        shuffleIfDead();
+    }
+    return result;
+}
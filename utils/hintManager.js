@@ -0,0 +1,77 @@
+import * as Constants from '../constants/constants.js';
+import { findBestMove } from './moveFinder.js';
+
+// The HintManager class keeps track of the best move on the current board and shows it to the
+// player, either after they have been idle for 'idleTime' milliseconds (never if it is 0) or
+// when they press the hint key. The best move is searched once every time the board settles
+// (after a refill or a shuffle), so showing a hint is instant. Each board counts at most one hint
+// towards the number of hints used in a game, no matter how often it is shown. Hints are given on
+// a single board, versus games are played without them.
+export class HintManager {
+    constructor(scene, idleTime = Constants.HINT_IDLE_TIME) {
+        this.scene = scene;
+        this.idleTime = idleTime;
+        this.reset();
+    }
+
+    // Starts over for a new game with hints on 'board', a BoardController, or without hints when
+    // 'board' is null.
+    reset(board = null) {
+        this.board = board;
+        this.bestMove = null;
+        this.timeIdle = 0;
+        this.hintsUsed = 0;
+        this.hintCountedForBoard = false;
+    }
+
+    // Changes the idle time once the player has chosen another hint delay.
+    setIdleTime(idleTime) {
+        this.idleTime = idleTime;
+        this.timeIdle = 0;
+    }
+
+    // Called once 'board' has settled into a new state.
+    onBoardChanged(board) {
+        if (!this.board || board !== this.board) {
+            return;
+        }
+        this.bestMove = findBestMove(this.board.boardModel);
+        this.timeIdle = 0;
+        this.hintCountedForBoard = false;
+    }
+
+    // Called as soon as 'board' starts changing, the previous best move is no longer valid.
+    invalidate(board) {
+        if (!this.board || board !== this.board) {
+            return;
+        }
+        this.bestMove = null;
+        this.scene.visualEffectsManager.clearHint();
+    }
+
+    onPlayerActivity() {
+        this.timeIdle = 0;
+        this.scene.visualEffectsManager.clearHint();
+    }
+
+    // This function is called every frame in which the player could be making a move.
+    update(delta) {
+        this.timeIdle += delta;
+        if (this.idleTime > 0 && this.timeIdle >= this.idleTime) {
+            this.timeIdle = 0;
+            this.showHint();
+        }
+    }
+
+    showHint() {
+        if (!this.bestMove) {
+            return;
+        }
+        const circles = this.bestMove.chain.map(cell => this.board.getCircleForCell(cell));
+        this.scene.visualEffectsManager.showHint(circles);
+        if (!this.hintCountedForBoard) {
+            this.hintCountedForBoard = true;
+            this.hintsUsed += 1;
+        }
+    }
+}
@@ -0,0 +1,125 @@
+import * as Constants from '../constants/constants.js';
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const LEADERBOARD_KEY = 'dots.leaderboard';
+const LEADERBOARD_VERSION = 1;
+
+// The Leaderboard class keeps the best LEADERBOARD_SIZE scores for every combination of game mode
+// and board configuration (a 6x8 board with 5 colors is a different table than a 10x10 board).
+// Each entry stores the player's initials, the score, the date it was set, the longest chain and
+// the number of loops of that game. The tables are persisted in the given storage, which defaults
+// to localStorage with an in-memory fallback.
+export class Leaderboard {
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+        this.data = this.load();
+    }
+
+    // Returns the key of the table for 'modeId' on a board with the given dimensions and colors.
+    static getTableKey(modeId, { width, height, colorCount }) {
+        return `${modeId}:${width}x${height}:${colorCount}`;
+    }
+
+    load() {
+        const data = loadJson(this.storage, LEADERBOARD_KEY, null);
+        if (!data || data.version !== LEADERBOARD_VERSION || typeof data.tables !== 'object') {
+            return { version: LEADERBOARD_VERSION, lastInitials: 'AAA', tables: {} };
+        }
+        return data;
+    }
+
+    save() {
+        saveJson(this.storage, LEADERBOARD_KEY, this.data);
+    }
+
+    getEntries(tableKey) {
+        return this.data.tables[tableKey] || [];
+    }
+
+    getHighScore(tableKey) {
+        const entries = this.getEntries(tableKey);
+        return entries.length > 0 ? entries[0].score : 0;
+    }
+
+    // The initials used for the most recent entry, these are suggested for the next one.
+    getLastInitials() {
+        return this.data.lastInitials;
+    }
+
+    qualifies(tableKey, score) {
+        const entries = this.getEntries(tableKey);
+        return score > 0 && (entries.length < Constants.LEADERBOARD_SIZE
+            || score > entries[entries.length - 1].score);
+    }
+
+    // Adds a new entry for a finished game if its score makes it onto the table. Returns the
+    // stored entry, or null if the score was not high enough.
+    addEntry(tableKey, { score, longestChain, loops }) {
+        if (!this.qualifies(tableKey, score)) {
+            return null;
+        }
+        const entry = {
+            initials: this.data.lastInitials,
+            score,
+            date: new Date().toISOString(),
+            longestChain,
+            loops,
+        };
+        this.data.tables[tableKey] = this.sortAndTrim([...this.getEntries(tableKey), entry]);
+        this.save();
+        return entry;
+    }
+
+    // Changes the initials of an entry that was returned by addEntry.
+    setInitials(entry, initials) {
+        entry.initials = initials;
+        this.data.lastInitials = initials;
+        this.save();
+    }
+
+    sortAndTrim(entries) {
+        return entries
+            .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+            .slice(0, Constants.LEADERBOARD_SIZE);
+    }
+
+    exportJson() {
+        return { version: LEADERBOARD_VERSION, tables: this.data.tables };
+    }
+
+    // Merges the tables of a previously exported leaderboard into this one. Throws an error if
+    // 'json' is not a leaderboard export, in which case nothing is changed.
+    importJson(json) {
+        if (!json || json.version !== LEADERBOARD_VERSION || !json.tables || typeof json.tables !== 'object') {
+            throw new Error('Not a valid leaderboard file.');
+        }
+        const isValidEntry = entry => entry
+            && typeof entry.initials === 'string'
+            && Number.isFinite(entry.score)
+            && typeof entry.date === 'string';
+        Object.values(json.tables).forEach((entries) => {
+            if (!Array.isArray(entries) || !entries.every(isValidEntry)) {
+                throw new Error('Not a valid leaderboard file.');
+            }
+        });
+
+        Object.entries(json.tables).forEach(([tableKey, entries]) => {
+            const merged = [...this.getEntries(tableKey)];
+            entries.forEach((entry) => {
+                const isDuplicate = merged.some(existing =>
+                    existing.date === entry.date && existing.score === entry.score && existing.initials === entry.initials);
+                if (!isDuplicate) {
+                    merged.push({
+                        initials: entry.initials.slice(0, 3),
+                        score: entry.score,
+                        date: entry.date,
+                        longestChain: entry.longestChain || 0,
+                        loops: entry.loops || 0,
+                    });
+                }
+            });
+            this.data.tables[tableKey] = this.sortAndTrim(merged);
+        });
+        this.save();
+    }
+}
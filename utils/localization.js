@@ -0,0 +1,137 @@
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const LOCALE_KEY = 'dots.locale';
+
+// The directory of the locale files. Its index.json lists the locale files, in the order the
+// language picker offers them.
+export const LOCALE_DIRECTORY = 'locales';
+
+// Every string missing from a locale is taken from this one, so it has to define all of them.
+export const FALLBACK_LOCALE_ID = 'en';
+
+// Checks that 'json' is a locale and returns it with its strings flattened into one table keyed
+// by their path, like "menu.startGame". Throws an error naming 'fileName' if it is not a locale.
+// A locale looks like this (see locales/en.json for every string the game uses):
+//
+// {
+//     "id": "de",                     a language tag, numbers are formatted for it as well
+//     "name": "Deutsch",              shown in the language picker, in the language itself
+//     "strings": {
+//         "menu": { "startGame": "Spiel starten!", ... },
+//         "hud": { "score": "Punkte: {score}", ... },
+//         ...                         '{name}' is replaced by the value passed as 'name'
+//     }
+// }
+export function parseLocale(json, fileName) {
+    const fail = (reason) => {
+        throw new Error(`Locale ${fileName}: ${reason}`);
+    };
+    if (!json || typeof json !== 'object') {
+        fail('not a valid locale file.');
+    }
+    if (typeof json.id !== 'string' || typeof json.name !== 'string') {
+        fail('a locale needs an id and a name.');
+    }
+    if (!json.strings || typeof json.strings !== 'object') {
+        fail('"strings" is missing.');
+    }
+    const strings = {};
+    const addStrings = (section, path) => {
+        Object.entries(section).forEach(([name, value]) => {
+            const key = path ? `${path}.${name}` : name;
+            if (value && typeof value === 'object') {
+                addStrings(value, key);
+            } else if (typeof value === 'string') {
+                strings[key] = value;
+            } else {
+                fail(`"${key}" must be a string.`);
+            }
+        });
+    };
+    addStrings(json.strings, '');
+    return { id: json.id, name: json.name, strings };
+}
+
+// Returns the preferred languages of the browser, most preferred first.
+function getPreferredLanguages() {
+    const navigator = globalThis.navigator;
+    if (!navigator) {
+        return [];
+    }
+    return navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+}
+
+// The Localization class holds the locales that were loaded and the one the game is shown in.
+// Before the player picks a language the first locale matching the browser's languages is used,
+// the choice is persisted between sessions. Every text the player sees is looked up with 't',
+// numbers and dates are formatted the way the language writes them.
+export class Localization {
+    constructor(locales, storage = createStorage()) {
+        this.fallback = locales.find(locale => locale.id === FALLBACK_LOCALE_ID);
+        if (!this.fallback) {
+            throw new Error('The English strings could not be loaded.');
+        }
+        this.locales = locales;
+        this.storage = storage;
+        this.numberFormats = new Map();
+        const saved = loadJson(this.storage, LOCALE_KEY, {});
+        this.locale = locales.find(locale => locale.id === saved.localeId) || this.findPreferredLocale();
+    }
+
+    // Returns the first locale that matches one of the browser's languages, either exactly or
+    // by the language alone ("de-AT" is shown in "de").
+    findPreferredLocale() {
+        for (const language of getPreferredLanguages()) {
+            const tag = String(language).toLowerCase();
+            const locale = this.locales.find(candidate => candidate.id.toLowerCase() === tag)
+                || this.locales.find(candidate => candidate.id.toLowerCase() === tag.split('-')[0]);
+            if (locale) {
+                return locale;
+            }
+        }
+        return this.fallback;
+    }
+
+    save() {
+        saveJson(this.storage, LOCALE_KEY, { localeId: this.locale.id });
+    }
+
+    cycleLocale() {
+        const localeIndex = this.locales.indexOf(this.locale);
+        this.locale = this.locales[(localeIndex + 1) % this.locales.length];
+        this.numberFormats.clear();
+        this.save();
+    }
+
+    // Returns the string 'key' of the current locale, or of the English one when the current
+    // locale does not have it. Every '{name}' in it is replaced by params[name], numbers are
+    // formatted with formatNumber. A key no locale has is returned as it is.
+    t(key, params = {}) {
+        const text = this.locale.strings[key] !== undefined ? this.locale.strings[key] : this.fallback.strings[key];
+        if (text === undefined) {
+            return key;
+        }
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) {
+                return placeholder;
+            }
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    // Formats 'value' for the current locale, 'options' are those of Intl.NumberFormat. The
+    // formats are kept, the countdown is formatted every frame.
+    formatNumber(value, options = {}) {
+        const formatKey = JSON.stringify(options);
+        if (!this.numberFormats.has(formatKey)) {
+            this.numberFormats.set(formatKey, new Intl.NumberFormat(this.locale.id, options));
+        }
+        return this.numberFormats.get(formatKey).format(value);
+    }
+
+    // Formats 'date' for the current locale, 'options' are those of Intl.DateTimeFormat.
+    formatDate(date, options = {}) {
+        return date.toLocaleDateString(this.locale.id, options);
+    }
+}
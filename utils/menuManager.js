@@ -1,44 +1,797 @@
+import { ACHIEVEMENTS } from './achievements.js';
+import { GAME_MODES, VERSUS_MODES, getPlayerName } from './gameModes.js';
+import { BOARD_GEOMETRIES } from './boardGeometry.js';
+import { downloadJson, pickJsonFile } from './fileTransfer.js';
+import { GameRecorder } from './gameRecorder.js';
+import { DIFFICULTY_PRESETS, SETTING_RANGES } from './gameSettings.js';
+import { toCssColor } from './theme.js';
+
 // The MenuManager class handles the displaying of the menu for this small game.
 // This allows the mainScene class to not be concerned with exactly how the menu
-// is constructed. The createMenu method has also been made somewhat customizable so 
-// that the mainScene can pass through different texts to display if necessary. 
+// is constructed. The createMenu method has also been made somewhat customizable so
+// that the mainScene can pass through different texts to display if necessary.
+// The menu also lets the player pick the game mode, which is remembered between games,
+// and after a game it shows the leaderboard of the mode that was just played. Replays
+// can be saved after a game and loaded from any menu, and the campaign screen lists the levels
+// with the stars earned on them. The settings screen changes the board size, rules and sound
+// volume, and leads on to the colors screen which lets the player choose a colorblind friendly
+// palette and shapes on the dots. After a game the statistics screen compares the game with the
+// player's personal bests, and a game that was saved before it was over can be continued. The
+// versus screen starts a game for two players, after which the result screen compares their
+// scores. The achievements screen lists every achievement with the progress made towards it.
+// Every button can also be reached with the keyboard or a gamepad through handleMenuAction.
+// Menus are drawn in the menu colors and fonts of the current theme, which can be switched on the
+// colors screen and in the pause menu. Every text is looked up in the scene's Localization, the
+// start menu has the language picker.
 export class MenuManager {
     constructor(scene) {
         this.scene = scene;
+        this.selectedModeId = GAME_MODES[0].id;
+        this.menuObjects = [];
+        this.focusables = [];
+        this.focusedItem = null;
+        this.focusMarker = null;
+        this.defaultFocus = null;
+        this.initialsInput = null;
+        this.scene.input.keyboard.on('keydown', (event) => this.handleInitialsKey(event));
+    }
+
+    isOpen() {
+        return this.menuObjects.length > 0;
+    }
+
+    get theme() {
+        return this.scene.themeManager.theme;
+    }
+
+    // Returns the string 'key' in the current language, see Localization.t.
+    t(key, params) {
+        return this.scene.localization.t(key, params);
+    }
+
+    formatNumber(value, options) {
+        return this.scene.localization.formatNumber(value, options);
     }
 
-    createMenu(subtitleText, subtitle2Text, buttonText) {
-        const centerX = this.scene.cameras.main.centerX;
-        const centerY = this.scene.cameras.main.centerY;
+    // Returns the menu color 'name' of the current theme as a text color.
+    getMenuColor(name) {
+        return toCssColor(this.theme.menu[name]);
+    }
 
-        let menuGraphics = this.scene.add.graphics({ fillStyle: { color: 0x0000ff, alpha: 0.6 } });
-        menuGraphics.fillRect(centerX - 100, centerY - 100, 200, 200);
+    createText(x, y, text, fontSize, style = {}) {
+        const menuText = this.scene.add.text(x, y, text, {
+            fontSize, fontFamily: this.theme.fonts.text, fill: this.getMenuColor('text'), ...style,
+        }).setOrigin(0.5);
+        this.menuObjects.push(menuText);
+        return menuText;
+    }
 
-        let titleText = this.scene.add.text(centerX, centerY - 70, 'DOTS!', { fontSize: '32px', fill: '#FFFFFF' }).setOrigin(0.5);
-        let subTitleText = this.scene.add.text(centerX, centerY - 25, subtitleText, { fontSize: '16px', fill: '#FFFFFF' }).setOrigin(0.5);
-        let subTitle2Text = this.scene.add.text(centerX, centerY + 5, subtitle2Text, { fontSize: '16px', fill: '#FFFFFF' }).setOrigin(0.5);
-        let startButtonText = this.scene.add.text(centerX, centerY + 50, buttonText, { fontSize: '24px', fill: '#FFFFFF' }).setOrigin(0.5);
+    createButton(x, y, text, fontSize, onClick) {
+        const button = this.createText(x, y, text, fontSize);
+        button.setInteractive({ useHandCursor: true });
+        button.on('pointerdown', onClick);
+        button.on('pointerover', () => button.setStyle({ fill: this.getMenuColor('highlight') }));
+        button.on('pointerout', () => button.setStyle({ fill: this.getMenuColor('text') }));
+        this.focusables.push(button);
+        return button;
+    }
+
+    // Draws the background panel of a menu screen.
+    createPanel(x, y, width, height) {
+        const menuGraphics = this.scene.add.graphics({ fillStyle: { color: this.theme.menu.panel, alpha: this.theme.menu.panelAlpha } });
+        menuGraphics.fillRect(x, y, width, height);
+        this.menuObjects.push(menuGraphics);
+    }
+
+    // Switches to the next theme and restyles the game, then draws the current screen again with
+    // 'drawMenu' in the new theme.
+    cycleTheme(drawMenu) {
+        this.scene.themeManager.cycleTheme();
+        this.scene.applyTheme();
+        this.redrawMenu(drawMenu);
+    }
+
+    closeMenu() {
+        this.menuObjects.forEach(menuObject => menuObject.destroy());
+        this.menuObjects = [];
+        this.focusables = [];
+        this.focusedItem = null;
+        this.focusMarker = null;
+        this.defaultFocus = null;
+        this.initialsInput = null;
+    }
 
-        startButtonText.setInteractive({ useHandCursor: true });
-        startButtonText.on('pointerdown', () => {
-            this.scene.startGame();
-            menuGraphics.clear();
-            titleText.destroy();
-            subTitleText.destroy();
-            subTitle2Text.destroy();
-            startButtonText.destroy();
-            exitButtonText.destroy();
+    // This function is called by the CursorInputManager with the keyboard or gamepad 'action' the
+    // player took while a menu is open. Directions move the focus between the buttons in reading
+    // order, 'select' and 'commit' press the focused button. While initials are being typed,
+    // 'commit' saves them instead.
+    handleMenuAction(action) {
+        if (this.initialsInput && action === 'commit') {
+            this.finishInitialsInput();
+            return;
+        }
+        if (this.focusables.length === 0) {
+            return;
+        }
+        const ordered = [...this.focusables].sort((a, b) => a.y - b.y || a.x - b.x);
+        if (action === 'select' || action === 'commit') {
+            if (this.focusedItem) {
+                this.focusedItem.emit('pointerdown');
+            }
+            return;
+        }
+        let step = 0;
+        if (['up', 'left', 'upLeft', 'downLeft', 'previous'].includes(action)) {
+            step = -1;
+        } else if (['down', 'right', 'upRight', 'downRight', 'next'].includes(action)) {
+            step = 1;
+        }
+        if (step === 0) {
+            return;
+        }
+        const currentIndex = ordered.indexOf(this.focusedItem);
+        const nextItem = currentIndex === -1
+            ? (this.defaultFocus || ordered[0])
+            : ordered[(currentIndex + step + ordered.length) % ordered.length];
+        this.setFocus(nextItem);
+    }
+
+    // Draws the current screen again with 'drawMenu', keeping the keyboard focus on the button at
+    // the same position so that a setting can be changed repeatedly with the keyboard.
+    redrawMenu(drawMenu) {
+        const focusIndex = this.focusables.indexOf(this.focusedItem);
+        this.closeMenu();
+        drawMenu();
+        if (focusIndex !== -1) {
+            this.setFocus(this.focusables[focusIndex]);
+        }
+    }
+
+    // Moves the keyboard focus to 'item', which is marked with an arrow and the hover style.
+    setFocus(item) {
+        if (this.focusedItem) {
+            this.focusedItem.emit('pointerout');
+        }
+        this.focusedItem = item;
+        item.emit('pointerover');
+        if (!this.focusMarker) {
+            this.focusMarker = this.createText(0, 0, '>', '14px', { fill: this.getMenuColor('highlight') });
+        }
+        this.focusMarker.setPosition(item.x - item.displayWidth / 2 - 10, item.y);
+    }
+
+    // This function creates one selectable label per entry in GAME_MODES. Clicking a label
+    // selects that mode for the next game.
+    createModeSelector(centerX, y) {
+        const spacing = 60;
+        const startX = centerX - spacing * (GAME_MODES.length - 1) / 2;
+        const modeTexts = GAME_MODES.map((mode, index) => {
+            const modeText = this.createText(startX + index * spacing, y, this.t(mode.label), '14px');
+            modeText.setInteractive({ useHandCursor: true });
+            modeText.on('pointerdown', () => {
+                this.selectedModeId = mode.id;
+                updateModeTexts();
+            });
+            this.focusables.push(modeText);
+            return modeText;
         });
-        startButtonText.on('pointerover', () => startButtonText.setStyle({ fill: '#ff0' }));
-        startButtonText.on('pointerout', () => startButtonText.setStyle({ fill: '#FFFFFF' }));
+        const updateModeTexts = () => {
+            modeTexts.forEach((modeText, index) => {
+                const isSelected = GAME_MODES[index].id === this.selectedModeId;
+                modeText.setStyle({ fill: this.getMenuColor(isSelected ? 'highlight' : 'text') });
+                modeText.setFontStyle(isSelected ? 'bold' : '');
+            });
+        };
+        updateModeTexts();
+    }
+
+    // 'leaderboardTable' is optional. When it is passed ({ tableKey, newEntry, note, stats }) the
+    // menu grows to show that table of the scene's leaderboard below the subtitles, with 'newEntry'
+    // (if any) highlighted and its initials editable with the keyboard. 'note' is an optional small
+    // line shown above the table and 'stats' (see createStatsMenu) adds a button that opens the
+    // statistics of the game that just ended.
+    createMenu(subtitleText, subtitle2Text, buttonText, leaderboardTable = null) {
+        // Remembered so that sub screens can return to this menu.
+        this.lastMenuArgs = [subtitleText, subtitle2Text, buttonText, leaderboardTable];
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        // The menu is taller when it shows a leaderboard table. All y values are relative to the
+        // top of the menu panel.
+        const layout = leaderboardTable
+            ? { top: centerY - 192, width: 240, height: 384, title: 22, subtitle: 50, subtitle2: 70, note: 88, table: 106, modes: 236, button: 267, exit: 296, transfer: 325, replay: 347, achievements: 369 }
+            : { top: centerY - 131, width: 200, height: 302, title: 30, subtitle: 75, subtitle2: 105, modes: 140, button: 180, exit: 210, replay: 240, options: 262, achievements: 284 };
+        const top = layout.top;
+
+        this.createPanel(centerX - layout.width / 2, top, layout.width, layout.height);
 
-        let exitButtonText = this.scene.add.text(centerX, centerY + 80, 'Exit', { fontSize: '24px', fill: '#FFFFFF' }).setOrigin(0.5);
-        exitButtonText.setInteractive({ useHandCursor: true });
-        exitButtonText.on('pointerdown', () => {
+        this.createText(centerX, top + layout.title, this.t('menu.title'), '32px');
+        this.createText(centerX, top + layout.subtitle, subtitleText, '16px');
+        // A game that was saved before it was over can be continued from the start menu, the
+        // button takes the place of the second subtitle.
+        if (!leaderboardTable && this.scene.savedGames.hasSave()) {
+            this.createButton(centerX, top + layout.subtitle2, this.t('menu.continue'), '20px', () => {
+                this.closeMenu();
+                this.scene.continueGame();
+            });
+        } else {
+            this.createText(centerX, top + layout.subtitle2, subtitle2Text, '16px');
+        }
+        if (leaderboardTable) {
+            if (leaderboardTable.note) {
+                this.createText(centerX, top + layout.note, leaderboardTable.note, '12px');
+            }
+            this.createLeaderboardTable(centerX, top + layout.table, leaderboardTable);
+            this.createButton(centerX - 80, top + layout.transfer, this.t('menu.export'), '12px', () => {
+                downloadJson('dots-leaderboard.json', this.scene.leaderboard.exportJson());
+            });
+            this.createButton(centerX + 80, top + layout.transfer, this.t('menu.import'), '12px', () => {
+                pickJsonFile((json) => {
+                    this.scene.leaderboard.importJson(json);
+                    this.closeMenu();
+                    this.createMenu(subtitleText, subtitle2Text, buttonText, leaderboardTable);
+                }, this.getFileErrorHandler('errors.leaderboardFile'));
+            });
+        }
+        this.createButton(leaderboardTable ? centerX : centerX + 65, top + (leaderboardTable ? layout.transfer : layout.options), this.t('menu.settings'), '12px', () => {
+            this.closeMenu();
+            this.createSettingsMenu();
+        });
+        this.createButton(leaderboardTable ? centerX : centerX - 65, top + (leaderboardTable ? layout.replay : layout.options), this.t('menu.campaign'), '12px', () => {
+            this.closeMenu();
+            this.createLevelSelectMenu();
+        });
+        this.createButton(leaderboardTable ? centerX - 80 : centerX, top + (leaderboardTable ? layout.exit : layout.options), this.t('menu.versus'), '12px', () => {
+            this.closeMenu();
+            this.createVersusMenu();
+        });
+        this.createButton(leaderboardTable ? centerX : centerX - 50, top + layout.achievements, this.t('menu.achievements'), '12px', () => {
+            this.closeMenu();
+            this.createAchievementsMenu();
+        });
+        // The start menu has the language picker, which shows the name of the current language in
+        // that language. The menu is drawn again in the next language when it is clicked.
+        if (!leaderboardTable) {
+            this.createButton(centerX + 60, top + layout.achievements, this.scene.localization.locale.name, '12px', () => {
+                this.scene.localization.cycleLocale();
+                this.closeMenu();
+                this.scene.showStartMenu();
+            });
+        }
+
+        this.createReplayButtons(centerX, top + layout.replay, leaderboardTable ? 80 : 50);
+
+        this.createModeSelector(centerX, top + layout.modes);
+        this.defaultFocus = this.createButton(centerX, top + layout.button, buttonText, '24px', () => {
+            this.closeMenu();
+            this.scene.startGame(this.selectedModeId);
+        });
+        if (leaderboardTable && leaderboardTable.stats) {
+            this.createButton(centerX + 80, top + layout.exit, this.t('menu.statistics'), '12px', () => {
+                this.closeMenu();
+                this.createStatsMenu(leaderboardTable.stats);
+            });
+        }
+        this.createButton(centerX, top + layout.exit, this.t('menu.exit'), '24px', () => {
             this.scene.game.destroy(true);
         });
-        exitButtonText.on('pointerover', () => exitButtonText.setStyle({ fill: '#ff0' }));
-        exitButtonText.on('pointerout', () => exitButtonText.setStyle({ fill: '#FFFFFF' }));
+    }
+
+    // This screen shows every setting in SETTING_RANGES with buttons to step it down and up, and
+    // the difficulty presets above them (the preset matching the current values is highlighted),
+    // followed by the sound volume, the hint delay, a button that cycles through the board
+    // geometries and the mute button. Changes are applied right away, so the game is resized before the screen is
+    // drawn again in the middle of the new size. 'Back' returns to the menu this screen was opened from.
+    createSettingsMenu() {
+        const settings = this.scene.settings;
+        const refresh = () => {
+            this.scene.applyLayout();
+            this.redrawMenu(() => this.createSettingsMenu());
+        };
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const top = centerY - 183;
+
+        this.createPanel(centerX - 120, top, 240, 366);
+
+        this.createText(centerX, top + 26, this.t('settings.title'), '24px');
+        const activePresetId = settings.getActivePresetId();
+        DIFFICULTY_PRESETS.forEach((preset, index) => {
+            const presetText = this.createText(centerX + (index - 1) * 70, top + 60, this.t(preset.label), '14px');
+            if (preset.id === activePresetId) {
+                presetText.setStyle({ fill: this.getMenuColor('highlight'), fontStyle: 'bold' });
+            }
+            presetText.setInteractive({ useHandCursor: true });
+            presetText.on('pointerdown', () => {
+                settings.applyPreset(preset.id);
+                refresh();
+            });
+            this.focusables.push(presetText);
+        });
+
+        Object.entries(SETTING_RANGES).forEach(([name, range], index) => {
+            const y = top + 95 + index * 26;
+            const value = name === 'gameLength'
+                ? this.t('settings.seconds', { seconds: settings[name] / 1000 })
+                : this.formatNumber(settings[name]);
+            this.createText(centerX - 10, y, this.t(range.label), '14px').setOrigin(1, 0.5);
+            this.createButton(centerX + 20, y, '-', '16px', () => {
+                settings.step(name, -1);
+                refresh();
+            });
+            this.createText(centerX + 55, y, value, '14px');
+            this.createButton(centerX + 90, y, '+', '16px', () => {
+                settings.step(name, 1);
+                refresh();
+            });
+        });
+
+        // The volume and mute setting belong to the AudioManager, which persists them itself.
+        const audioManager = this.scene.audioManager;
+        const volumeY = top + 95 + Object.keys(SETTING_RANGES).length * 26;
+        this.createText(centerX - 10, volumeY, this.t('settings.volume'), '14px').setOrigin(1, 0.5);
+        this.createButton(centerX + 20, volumeY, '-', '16px', () => {
+            audioManager.stepVolume(-1);
+            refresh();
+        });
+        this.createText(centerX + 55, volumeY, this.formatNumber(Math.round(audioManager.volume * 100) / 100, { style: 'percent' }), '14px');
+        this.createButton(centerX + 90, volumeY, '+', '16px', () => {
+            audioManager.stepVolume(1);
+            refresh();
+        });
+
+        const hintDelayY = volumeY + 26;
+        const hintDelay = settings.hintDelay > 0
+            ? this.t('settings.seconds', { seconds: settings.hintDelay / 1000 })
+            : this.t('settings.off');
+        this.createText(centerX - 10, hintDelayY, this.t('settings.hintDelay'), '14px').setOrigin(1, 0.5);
+        this.createButton(centerX + 20, hintDelayY, '-', '16px', () => {
+            settings.stepHintDelay(-1);
+            this.scene.hintManager.setIdleTime(settings.hintDelay);
+            refresh();
+        });
+        this.createText(centerX + 55, hintDelayY, hintDelay, '14px');
+        this.createButton(centerX + 90, hintDelayY, '+', '16px', () => {
+            settings.stepHintDelay(1);
+            this.scene.hintManager.setIdleTime(settings.hintDelay);
+            refresh();
+        });
+
+        this.createButton(centerX - 80, top + 308, this.t('settings.colors'), '14px', () => {
+            this.closeMenu();
+            this.createColorOptionsMenu();
+        });
+        const geometry = BOARD_GEOMETRIES.find(candidate => candidate.id === settings.geometry);
+        this.createButton(centerX, top + 308, this.t(geometry.label), '14px', () => {
+            settings.nextGeometry();
+            refresh();
+        });
+        this.createButton(centerX + 80, top + 308, audioManager.muted ? this.t('settings.unmute') : this.t('settings.mute'), '14px', () => {
+            audioManager.toggleMute();
+            refresh();
+        });
+        this.defaultFocus = this.createButton(centerX, top + 340, this.t('menu.back'), '24px', () => {
+            this.closeMenu();
+            this.createMenu(...this.lastMenuArgs);
+        });
+    }
 
+    // This screen lets the player cycle through the themes and the COLOR_PALETTES and turn the
+    // shapes drawn on the dots on or off. A preview shows every color with its glyph. 'Back'
+    // returns to the settings screen.
+    createColorOptionsMenu() {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const colorScheme = this.scene.colorScheme;
+        const top = centerY - 122;
+        const refresh = () => this.redrawMenu(() => this.createColorOptionsMenu());
+
+        this.createPanel(centerX - 110, top, 220, 245);
+
+        this.createText(centerX, top + 28, this.t('colors.title'), '24px');
+        this.createButton(centerX, top + 68, this.t('colors.theme', { name: this.theme.name }), '14px', () => {
+            this.cycleTheme(() => this.createColorOptionsMenu());
+        });
+        this.createButton(centerX, top + 95, this.t('colors.palette', { name: this.t(colorScheme.palette.label) }), '14px', () => {
+            colorScheme.cyclePalette();
+            refresh();
+        });
+        this.createButton(centerX, top + 122, this.t('colors.shapes', { state: this.t(colorScheme.glyphsEnabled ? 'colors.on' : 'colors.off') }), '14px', () => {
+            colorScheme.toggleGlyphs();
+            refresh();
+        });
+
+        const previewGraphics = this.scene.add.graphics();
+        const paletteColors = colorScheme.getPaletteColors();
+        paletteColors.forEach((color, colorIndex) => {
+            const x = centerX + (colorIndex - (paletteColors.length - 1) / 2) * 25;
+            const y = top + 162;
+            previewGraphics.fillStyle(color, 1);
+            previewGraphics.fillCircle(x, y, 10);
+            const glyph = colorScheme.getGlyph(colorIndex);
+            if (glyph) {
+                this.scene.visualEffectsManager.drawGlyph(previewGraphics, glyph, x, y, 5.5, colorScheme.getGlyphColor(colorIndex));
+            }
+        });
+        this.menuObjects.push(previewGraphics);
+
+        this.defaultFocus = this.createButton(centerX, top + 210, this.t('menu.back'), '24px', () => {
+            this.closeMenu();
+            this.createSettingsMenu();
+        });
+    }
+
+    // The pause overlay dims the whole game and catches every click on it. 'Resume' continues the
+    // game, 'Restart' starts the same game again and 'Quit' returns to the start menu. The theme
+    // can be switched here as well, the paused game is restyled behind the overlay.
+    createPauseMenu() {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const top = centerY - 110;
+        const { gameHeight } = this.scene.settings;
+
+        const dimOverlay = this.scene.add.rectangle(0, 0, this.scene.getViewWidth(), gameHeight, this.theme.menu.overlay, this.theme.menu.overlayAlpha)
+            .setOrigin(0)
+            .setInteractive();
+        this.menuObjects.push(dimOverlay);
+        this.createPanel(centerX - 100, top, 200, 225);
+
+        this.createText(centerX, top + 35, this.t('pause.title'), '32px');
+        this.defaultFocus = this.createButton(centerX, top + 90, this.t('pause.resume'), '24px', () => {
+            this.closeMenu();
+            this.scene.resumeGame();
+        });
+        this.createButton(centerX, top + 130, this.t('pause.restart'), '24px', () => {
+            this.closeMenu();
+            this.scene.restartGame();
+        });
+        this.createButton(centerX, top + 170, this.t('pause.quit'), '24px', () => {
+            this.closeMenu();
+            this.scene.quitGame();
+        });
+        this.createButton(centerX, top + 204, this.t('colors.theme', { name: this.theme.name }), '14px', () => {
+            this.cycleTheme(() => this.createPauseMenu());
+        });
     }
-}
\ No newline at end of file
+
+    // This screen shows the campaign levels in a grid with the stars earned on each of them.
+    // Locked levels are greyed out, hovering or focusing a level shows its name. 'Back' returns
+    // to the menu this screen was opened from.
+    createLevelSelectMenu() {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const top = centerY - 170;
+        const levels = this.scene.levels;
+        const progress = this.scene.campaignProgress;
+
+        this.createPanel(centerX - 120, top, 240, 340);
+
+        this.createText(centerX, top + 26, this.t('campaign.title'), '24px');
+        const nameText = this.createText(centerX, top + 265, '', '14px');
+        if (levels.length === 0) {
+            this.createText(centerX, top + 120, this.t('campaign.noLevels'), '14px');
+        }
+        const columns = 3;
+        levels.forEach((level, levelIndex) => {
+            const x = centerX + (levelIndex % columns - 1) * 70;
+            const y = top + 75 + Math.floor(levelIndex / columns) * 52;
+            const stars = progress.getStars(level.id);
+            if (!progress.isUnlocked(levels, levelIndex)) {
+                this.createText(x, y, this.formatNumber(levelIndex + 1), '20px', { fill: this.getMenuColor('disabled') });
+                this.createText(x, y + 20, this.t('menu.locked'), '10px', { fill: this.getMenuColor('disabled') });
+                return;
+            }
+            const levelButton = this.createButton(x, y, this.formatNumber(levelIndex + 1), '20px', () => {
+                this.closeMenu();
+                this.scene.startLevel(levelIndex);
+            });
+            levelButton.on('pointerover', () => nameText.setText(level.name));
+            this.createText(x, y + 20, formatStars(stars), '14px', { fill: this.getMenuColor('highlight') });
+        });
+
+        this.defaultFocus = this.createButton(centerX, top + 305, this.t('menu.back'), '24px', () => {
+            this.closeMenu();
+            this.createMenu(...this.lastMenuArgs);
+        });
+    }
+
+    // This screen shows the statistics of a finished game. 'gameStats' is the GameStats of the
+    // game and 'comparison' its comparison with the personal bests (see PersonalBests.record),
+    // new bests are highlighted. Below them are the dots cleared of every color and a bar chart of
+    // the points scored per second over the course of the game. 'Export' downloads everything as
+    // JSON and 'Back' returns to the game over menu.
+    createStatsMenu({ gameStats, comparison }) {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const top = centerY - 181;
+
+        this.createPanel(centerX - 120, top, 240, 362);
+
+        this.createText(centerX, top + 22, this.t('stats.title'), '22px');
+        this.createText(centerX + 40, top + 48, this.t('stats.game'), '12px');
+        this.createText(centerX + 90, top + 48, this.t('stats.best'), '12px');
+        comparison.forEach(({ label, value, best, isNewBest }, index) => {
+            const y = top + 66 + index * 17;
+            this.createText(centerX - 110, y, this.t(label), '12px').setOrigin(0, 0.5);
+            this.createText(centerX + 40, y, this.formatNumber(value), '12px', isNewBest ? { fill: this.getMenuColor('highlight'), fontStyle: 'bold' } : {});
+            this.createText(centerX + 90, y, best === null ? '-' : this.formatNumber(best), '12px');
+        });
+
+        this.createText(centerX, top + 178, this.t('stats.dotsPerColor'), '12px');
+        const colorCounts = Object.entries(gameStats.clearsByColor).sort(([a], [b]) => a - b);
+        const colorGraphics = this.scene.add.graphics();
+        this.menuObjects.push(colorGraphics);
+        colorCounts.forEach(([colorIndex, count], index) => {
+            const x = centerX + (index - (colorCounts.length - 1) / 2) * 28;
+            colorGraphics.fillStyle(this.scene.colorScheme.getColor(Number(colorIndex)), 1);
+            colorGraphics.fillCircle(x, top + 196, 6);
+            this.createText(x, top + 212, this.formatNumber(count), '10px');
+        });
+
+        this.createText(centerX, top + 234, this.t('stats.pointsPerSecond'), '12px');
+        this.createPointsChart(centerX - 100, top + 248, 200, 60, gameStats.getPointsPerSecond());
+
+        this.createButton(centerX - 60, top + 335, this.t('menu.export'), '14px', () => {
+            downloadJson(`dots-stats-${gameStats.seed}.json`, {
+                ...gameStats.toJSON(),
+                personalBests: comparison.map(({ name, best, isNewBest }) => ({ name, best, isNewBest })),
+            });
+        });
+        this.defaultFocus = this.createButton(centerX + 60, top + 335, this.t('menu.back'), '20px', () => {
+            this.closeMenu();
+            this.createMenu(...this.lastMenuArgs);
+        });
+    }
+
+    // This screen lists the ACHIEVEMENTS. Unlocked ones are highlighted with a check mark, the
+    // others show a bar with the best progress made towards them or are greyed out while none has
+    // been made. 'Back' returns to the menu this screen was opened from.
+    createAchievementsMenu() {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const achievements = this.scene.achievements;
+        const rowHeight = 34;
+        const height = 110 + ACHIEVEMENTS.length * rowHeight;
+        const top = centerY - height / 2;
+
+        this.createPanel(centerX - 130, top, 260, height);
+
+        this.createText(centerX, top + 22, this.t('achievements.title'), '22px');
+        const unlockedCount = ACHIEVEMENTS.filter(achievement => achievements.isUnlocked(achievement.id)).length;
+        this.createText(centerX, top + 46, this.t('achievements.unlocked', { count: unlockedCount, total: ACHIEVEMENTS.length }), '12px');
+        const barGraphics = this.scene.add.graphics();
+        this.menuObjects.push(barGraphics);
+        ACHIEVEMENTS.forEach((achievement, index) => {
+            const y = top + 72 + index * rowHeight;
+            const isUnlocked = achievements.isUnlocked(achievement.id);
+            const progress = achievements.getProgress(achievement);
+            const colorName = isUnlocked ? 'highlight' : (progress ? 'text' : 'disabled');
+            const style = { fill: this.getMenuColor(colorName) };
+            this.createText(centerX - 118, y, this.t(achievement.label), '14px', { ...style, fontStyle: isUnlocked ? 'bold' : '' })
+                .setOrigin(0, 0.5);
+            this.createText(centerX - 118, y + 15, this.t(achievement.description), '10px', style).setOrigin(0, 0.5);
+            if (isUnlocked) {
+                this.createText(centerX + 118, y, '\u2713', '16px', style).setOrigin(1, 0.5);
+            } else if (progress) {
+                barGraphics.fillStyle(this.theme.menu.disabled, 1);
+                barGraphics.fillRect(centerX + 20, y - 2, 50, 5);
+                barGraphics.fillStyle(this.theme.menu.highlight, 1);
+                barGraphics.fillRect(centerX + 20, y - 2, 50 * progress.value / progress.target, 5);
+                this.createText(centerX + 118, y, this.t('achievements.progress', { value: progress.value, target: progress.target }), '10px', style).setOrigin(1, 0.5);
+            } else {
+                this.createText(centerX + 118, y, this.t('menu.locked'), '10px', style).setOrigin(1, 0.5);
+            }
+        });
+
+        this.defaultFocus = this.createButton(centerX, top + height - 22, this.t('menu.back'), '20px', () => {
+            this.closeMenu();
+            this.createMenu(...this.lastMenuArgs);
+        });
+    }
+
+    // Draws 'values' as a bar chart filling the box at 'x', 'y' of 'width' by 'height', scaled to
+    // the highest value, which is written in the top left corner.
+    createPointsChart(x, y, width, height, values) {
+        const chartGraphics = this.scene.add.graphics();
+        this.menuObjects.push(chartGraphics);
+        chartGraphics.lineStyle(1, this.theme.menu.text, 0.6);
+        chartGraphics.strokeRect(x, y, width, height);
+        const maxValue = Math.max(...values);
+        if (maxValue <= 0) {
+            this.createText(x + width / 2, y + height / 2, this.t('stats.noPoints'), '10px');
+            return;
+        }
+        const barWidth = width / values.length;
+        chartGraphics.fillStyle(this.theme.menu.highlight, 0.8);
+        values.forEach((value, index) => {
+            const barHeight = value / maxValue * (height - 4);
+            chartGraphics.fillRect(x + index * barWidth + 1, y + height - barHeight, Math.max(1, barWidth - 2), barHeight);
+        });
+        this.createText(x + 3, y + 3, this.formatNumber(Math.round(maxValue * 10) / 10), '10px').setOrigin(0, 0);
+    }
+
+    // Shown after a campaign level. 'summary' holds the two lines from CampaignMode.getSummary.
+    // 'Next Level' is only offered when the level was completed and another level follows.
+    createLevelResultMenu(levelIndex, stars, [summaryText, summary2Text]) {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const top = centerY - 140;
+        const levels = this.scene.levels;
+
+        this.createPanel(centerX - 100, top, 200, 280);
+
+        this.createText(centerX, top + 30, levels[levelIndex].name, '20px');
+        this.createText(centerX, top + 65, summaryText, '16px');
+        this.createText(centerX, top + 100, formatStars(stars), '28px', { fill: this.getMenuColor('highlight') });
+        this.createText(centerX, top + 135, summary2Text, '16px');
+        if (stars > 0 && levelIndex + 1 < levels.length) {
+            this.defaultFocus = this.createButton(centerX, top + 175, this.t('campaign.nextLevel'), '20px', () => {
+                this.closeMenu();
+                this.scene.startLevel(levelIndex + 1);
+            });
+        }
+        const retryButton = this.createButton(centerX, top + 210, this.t('campaign.retry'), '20px', () => {
+            this.closeMenu();
+            this.scene.startLevel(levelIndex);
+        });
+        this.defaultFocus = this.defaultFocus || retryButton;
+        this.createButton(centerX, top + 245, this.t('campaign.levels'), '20px', () => {
+            this.closeMenu();
+            this.createLevelSelectMenu();
+        });
+    }
+
+    // This screen lists the VERSUS_MODES with a line about each of them. Picking one starts it
+    // right away, 'Back' returns to the menu this screen was opened from.
+    createVersusMenu() {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const top = centerY - 120;
+
+        this.createPanel(centerX - 110, top, 220, 240);
+
+        this.createText(centerX, top + 30, this.t('versus.title'), '24px');
+        VERSUS_MODES.forEach((Mode, index) => {
+            const y = top + 80 + index * 55;
+            const modeButton = this.createButton(centerX, y, this.t(Mode.label), '20px', () => {
+                this.closeMenu();
+                this.scene.startGame(Mode.id);
+            });
+            this.defaultFocus = this.defaultFocus || modeButton;
+            this.createText(centerX, y + 22, this.t(Mode.description), '12px');
+        });
+        this.createButton(centerX, top + 205, this.t('menu.back'), '20px', () => {
+            this.closeMenu();
+            this.createMenu(...this.lastMenuArgs);
+        });
+    }
+
+    // Shown after a versus game. 'summary' holds the two lines from VersusMode.getSummary, below
+    // them the score of every player is listed with the winner highlighted. 'Rematch' plays the
+    // same mode again.
+    createVersusResultMenu(modeId, [summaryText, summary2Text], playerScores, winnerIndex) {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const top = centerY - 140;
+
+        this.createPanel(centerX - 100, top, 200, 280);
+
+        this.createText(centerX, top + 30, summaryText, '24px');
+        this.createText(centerX, top + 60, summary2Text, '14px');
+        playerScores.forEach((score, playerIndex) => {
+            const style = playerIndex === winnerIndex ? { fill: this.getMenuColor('highlight'), fontStyle: 'bold' } : {};
+            const y = top + 95 + playerIndex * 24;
+            this.createText(centerX - 80, y, getPlayerName(this.scene.localization, playerIndex), '16px', style).setOrigin(0, 0.5);
+            this.createText(centerX + 80, y, this.formatNumber(score), '16px', style).setOrigin(1, 0.5);
+        });
+        this.defaultFocus = this.createButton(centerX, top + 175, this.t('versus.rematch'), '20px', () => {
+            this.closeMenu();
+            this.scene.startGame(modeId);
+        });
+        this.createButton(centerX, top + 210, this.t('menu.versus'), '20px', () => {
+            this.closeMenu();
+            this.createVersusMenu();
+        });
+        this.createButton(centerX, top + 245, this.t('versus.menu'), '20px', () => {
+            this.closeMenu();
+            this.scene.showStartMenu();
+        });
+    }
+
+    // 'Save Replay' is only shown when there is a finished game to save. 'Load Replay' asks for a
+    // replay file and plays it back. The buttons sit 'spacing' to either side of 'centerX'.
+    createReplayButtons(centerX, y, spacing) {
+        const lastReplay = this.scene.lastReplay;
+        this.createButton(lastReplay ? centerX + spacing : centerX, y, this.t('menu.loadReplay'), '12px', () => {
+            pickJsonFile((json) => {
+                this.scene.startReplay(GameRecorder.parseReplay(json));
+                this.closeMenu();
+            }, this.getFileErrorHandler('errors.replayFile'));
+        });
+        if (lastReplay) {
+            this.createButton(centerX - spacing, y, this.t('menu.saveReplay'), '12px', () => {
+                downloadJson(`dots-replay-${lastReplay.seed}.json`, lastReplay);
+            });
+        }
+    }
+
+    // Returns the 'onError' of pickJsonFile for a file the player picked that can not be loaded.
+    // The player is shown the string 'key', the reason is logged.
+    getFileErrorHandler(key) {
+        return (error) => {
+            console.warn(error.message);
+            this.showError(this.t(key));
+        };
+    }
+
+    // Briefly shows 'text' over the middle of the open menu in the warning color.
+    showError(text) {
+        const { x: centerX, y: centerY } = this.scene.getViewCenter();
+        const errorText = this.createText(centerX, centerY, text, '16px', {
+            fill: toCssColor(this.theme.hud.warning),
+            fontStyle: 'bold',
+            backgroundColor: toCssColor(this.theme.menu.panel),
+            padding: { x: 8, y: 6 },
+            align: 'center',
+            wordWrap: { width: this.scene.getViewWidth() - 40 },
+        }).setDepth(1);
+        this.scene.time.delayedCall(2500, () => {
+            this.menuObjects = this.menuObjects.filter(menuObject => menuObject !== errorText);
+            errorText.destroy();
+        });
+    }
+
+    // This function draws the rows of a leaderboard table starting at 'y'. Each row shows the
+    // rank, initials, score, longest chain (C), loops (L) and the day and month of the entry, the
+    // way the current language writes them.
+    createLeaderboardTable(centerX, y, { tableKey, newEntry }) {
+        const rowStyle = { fontFamily: this.theme.fonts.monospace };
+        const formatRow = (entry, index) => {
+            const day = this.scene.localization.formatDate(new Date(entry.date), { month: '2-digit', day: '2-digit' });
+            return `${index + 1}. ${entry.initials.padEnd(3)} ${this.formatNumber(entry.score).padStart(4)}`
+                + ` ${this.t('leaderboard.chain')}${String(entry.longestChain).padEnd(2)}`
+                + ` ${this.t('leaderboard.loops')}${String(entry.loops).padEnd(2)} ${day}`;
+        };
+
+        this.createText(centerX, y, this.t('leaderboard.title'), '14px');
+        const entries = this.scene.leaderboard.getEntries(tableKey);
+        if (entries.length === 0) {
+            this.createText(centerX, y + 25, this.t('leaderboard.empty'), '12px', rowStyle);
+        }
+        entries.forEach((entry, index) => {
+            const rowText = this.createText(centerX, y + 22 + index * 18, formatRow(entry, index), '12px', rowStyle);
+            if (entry === newEntry) {
+                rowText.setStyle({ fill: this.getMenuColor('highlight') });
+                this.createInitialsInput(centerX, y + 112, entry, () => rowText.setText(formatRow(entry, index)));
+            }
+        });
+    }
+
+    // Lets the player type up to three characters as the initials of a new leaderboard entry.
+    // The suggested initials are replaced as soon as the first character is typed. The initials
+    // are saved as they are typed, pressing enter only ends the input. Deleting every character
+    // puts the suggested initials back.
+    createInitialsInput(centerX, y, entry, onChange) {
+        const promptText = this.createText(centerX, y, this.t('leaderboard.typeInitials'), '12px', { fill: this.getMenuColor('highlight') });
+        this.initialsInput = { entry, initials: '', suggestedInitials: entry.initials, promptText, onChange };
+    }
+
+    isTypingInitials() {
+        return this.initialsInput !== null;
+    }
+
+    handleInitialsKey(event) {
+        if (!this.initialsInput) {
+            return;
+        }
+        const input = this.initialsInput;
+        if (event.key === 'Backspace') {
+            input.initials = input.initials.slice(0, -1);
+        } else if (/^[a-z0-9]$/i.test(event.key) && input.initials.length < 3) {
+            input.initials += event.key.toUpperCase();
+        } else {
+            return;
+        }
+        this.scene.leaderboard.setInitials(input.entry, input.initials || input.suggestedInitials);
+        input.onChange();
+    }
+
+    finishInitialsInput() {
+        this.initialsInput.promptText.setText(this.t('leaderboard.saved'));
+        this.initialsInput = null;
+    }
+}
+
+// Returns a rating of 0 to 3 stars as filled and empty stars.
+function formatStars(stars) {
+    return '\u2605'.repeat(stars) + '\u2606'.repeat(3 - stars);
+}
@@ -0,0 +1,216 @@
+// The most extensions findLargeCycle makes in one group before it gives up.
+const MAX_CYCLE_STEPS = 20000;
+
+// Searches a BoardModel for the move that clears the most cells. A loop clears every cell of its
+// color, so for each color the groups of connected cells that can be chained in that color (cells
+// of the color and wildcards) are first checked for a cycle. For colors without a loop a depth
+// first search looks for the longest chain. The longest chain search is limited to 'maxSteps'
+// extensions in total, which keeps it fast on large boards at the cost of occasionally returning
+// a chain that is not the longest possible one. Cells cleared by bombs are counted as well.
+// With 'allowLoops' set to false loops are ignored and the longest chain is returned.
+//
+// Returns { chain, isLoop, cellsCleared } where 'chain' is the ordered array of cells to select
+// (a loop ends with the cell it started on), or null if the board has no move.
+export function findBestMove(boardModel, { maxSteps = 20000, allowLoops = true } = {}) {
+    const groups = findAllColorGroups(boardModel);
+    let bestMove = null;
+    const consider = (move) => {
+        if (!bestMove || move.cellsCleared > bestMove.cellsCleared) {
+            bestMove = move;
+        }
+    };
+
+    const loopMoves = allowLoops ? findLoopMoves(boardModel, groups) : [];
+    loopMoves.forEach(consider);
+    const colorsWithLoops = new Set(loopMoves.map(move => move.color));
+
+    const search = { steps: 0, maxSteps };
+    groups
+        .filter(group => group.length > 1 && !colorsWithLoops.has(group.color))
+        .sort((a, b) => b.length - a.length)
+        .forEach((group) => {
+            // A chain can never be longer than its group, so smaller groups can be skipped.
+            if (bestMove && group.length <= bestMove.cellsCleared) {
+                return;
+            }
+            const chain = findLongestChain(boardModel, group, search);
+            if (chain.length > 1) {
+                consider({ chain, isLoop: false, cellsCleared: boardModel.getCellsToClear(chain).length });
+            }
+        });
+    return bestMove;
+}
+
+// Returns the loop that clears the most cells, in the same form as findBestMove, or null if the
+// board has no loop.
+export function findBestLoop(boardModel) {
+    return findLoopMoves(boardModel, findAllColorGroups(boardModel))
+        .reduce((best, move) => (!best || move.cellsCleared > best.cellsCleared ? move : best), null);
+}
+
+function findAllColorGroups(boardModel) {
+    const groups = [];
+    boardModel.colors.forEach((color) => {
+        groups.push(...findColorGroups(boardModel, color));
+    });
+    return groups;
+}
+
+// Returns one loop move per color that has a loop in any of its groups.
+function findLoopMoves(boardModel, groups) {
+    const moves = [];
+    const colorsWithLoops = new Set();
+    groups.forEach((group) => {
+        if (colorsWithLoops.has(group.color)) {
+            return;
+        }
+        const cycle = findCycle(boardModel, group);
+        if (cycle) {
+            colorsWithLoops.add(group.color);
+            const chain = [...cycle, cycle[0]];
+            moves.push({ chain, isLoop: true, color: group.color, cellsCleared: boardModel.getCellsToClear(chain).length });
+        }
+    });
+    return moves;
+}
+
+// Splits the cells that can be chained in 'color' into groups of connected cells. Each group
+// remembers its color. Groups made of wildcards only are skipped, they are part of the groups of
+// every color they touch.
+function findColorGroups(boardModel, color) {
+    const visited = new Set();
+    const groups = [];
+    boardModel.getAllCells().forEach((cell) => {
+        if (visited.has(cell) || cell.color !== color) {
+            return;
+        }
+        const group = [];
+        group.color = color;
+        const toVisit = [cell];
+        visited.add(cell);
+        while (toVisit.length > 0) {
+            const current = toVisit.pop();
+            group.push(current);
+            getMatchingNeighbours(boardModel, current, color).forEach((neighbour) => {
+                if (!visited.has(neighbour)) {
+                    visited.add(neighbour);
+                    toVisit.push(neighbour);
+                }
+            });
+        }
+        groups.push(group);
+    });
+    return groups;
+}
+
+function getMatchingNeighbours(boardModel, cell, color) {
+    return boardModel.getNeighbours(cell).filter(neighbour => boardModel.matchesColor(neighbour, color));
+}
+
+// Returns the cells of a cycle within 'group' in chain order, or null if the group has none. A
+// depth first search finds a cycle as soon as a cell reaches a cell on the current path that is
+// not the one it came from. Such a cycle always has at least three cells, geometries that need
+// bigger loops are searched with findLargeCycle instead.
+function findCycle(boardModel, group) {
+    if (boardModel.geometry.minLoopSize > 3) {
+        return findLargeCycle(boardModel, group);
+    }
+    const path = [];
+    const visited = new Set();
+    const visit = (cell, parent) => {
+        visited.add(cell);
+        path.push(cell);
+        for (const neighbour of getMatchingNeighbours(boardModel, cell, group.color)) {
+            if (neighbour === parent) {
+                continue;
+            }
+            if (path.includes(neighbour)) {
+                return path.slice(path.indexOf(neighbour));
+            }
+            if (!visited.has(neighbour)) {
+                const cycle = visit(neighbour, cell);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+        }
+        path.pop();
+        return null;
+    };
+    return visit(group[0], null);
+}
+
+// Returns a cycle of at least the geometry's minLoopSize cells within 'group', or null if there
+// is none. With diagonal neighbours a group can close small cycles that do not count as loops,
+// and a cell that was already passed on the way to one of them may still be part of a big
+// enough cycle. So every cell is tried as the start of a cycle, and the search only forgets the
+// cells of its current path. Every cycle is found from the cell of it that comes first in the
+// group, so a search never moves to cells before its start. The search gives up after
+// MAX_CYCLE_STEPS extensions.
+function findLargeCycle(boardModel, group) {
+    const minLoopSize = boardModel.geometry.minLoopSize;
+    const order = new Map(group.map((cell, index) => [cell, index]));
+    let steps = 0;
+    for (const start of group) {
+        const path = [start];
+        const extend = (cell) => {
+            steps++;
+            for (const neighbour of getMatchingNeighbours(boardModel, cell, group.color)) {
+                if (neighbour === start && path.length >= minLoopSize) {
+                    return [...path];
+                }
+                if (steps >= MAX_CYCLE_STEPS || !(order.get(neighbour) > order.get(start)) || path.includes(neighbour)) {
+                    continue;
+                }
+                path.push(neighbour);
+                const cycle = extend(neighbour);
+                if (cycle) {
+                    return cycle;
+                }
+                path.pop();
+            }
+            return null;
+        };
+        const cycle = extend(start);
+        if (cycle || steps >= MAX_CYCLE_STEPS) {
+            return cycle;
+        }
+    }
+    return null;
+}
+
+// Depth first search for the longest simple path within 'group'. Searches start at the cells
+// with the fewest same-colored neighbours, as those are the most likely ends of a long chain.
+function findLongestChain(boardModel, group, search) {
+    let longestChain = [];
+    const path = [];
+    const visited = new Set();
+    const extend = (cell) => {
+        search.steps++;
+        visited.add(cell);
+        path.push(cell);
+        if (path.length > longestChain.length) {
+            longestChain = [...path];
+        }
+        for (const neighbour of getMatchingNeighbours(boardModel, cell, group.color)) {
+            if (search.steps >= search.maxSteps || longestChain.length === group.length) {
+                break;
+            }
+            if (!visited.has(neighbour)) {
+                extend(neighbour);
+            }
+        }
+        path.pop();
+        visited.delete(cell);
+    };
+
+    const startCells = [...group].sort((a, b) =>
+        getMatchingNeighbours(boardModel, a, group.color).length - getMatchingNeighbours(boardModel, b, group.color).length);
+    for (const cell of startCells) {
+        if (search.steps >= search.maxSteps || longestChain.length === group.length) {
+            break;
+        }
+        extend(cell);
+    }
+    return longestChain;
+}
@@ -0,0 +1,69 @@
+// Plugins let other modules observe the game and add to it without editing the scene or its
+// managers. A plugin is an object with a unique 'id' and an 'install(api)' function:
+//
+// registerPlugin({
+//     id: 'chain-counter',
+//     install(api) {
+//         const text = api.addHudElement(api.scene.add.text(10, 10, '', { fill: '#000' }));
+//         api.events.on(GAME_EVENTS.DOT_ADDED, ({ chainLength }) => text.setText(chainLength));
+//         api.addEffect(GAME_EVENTS.LOOP_FORMED, ({ cells }, scene) => { ... });
+//     },
+// });
+//
+// Plugins can be registered at any time, they are installed into every running scene right away
+// and into scenes created later. The 'api' an installed plugin receives holds:
+//
+// scene            the mainScene, for creating game objects and tweens
+// events           the scene's GameEventBus, see gameEvents.js for the events and their payloads
+// addHudElement    adds a game object to the HUD, so it is drawn above the board. Returns the
+//                  game object.
+// addEffect        calls effect(payload, scene) for every 'eventName' event, meant for visual
+//                  effects. Returns a function that removes the effect again.
+// getCellPosition  returns the screen position { x, y } of a BoardModel cell on the board with the
+//                  given index (0 by default)
+
+const HUD_DEPTH = 10;
+
+const registeredPlugins = [];
+const pluginHosts = new Set();
+
+export function registerPlugin(plugin) {
+    if (!plugin || typeof plugin.id !== 'string' || typeof plugin.install !== 'function') {
+        throw new Error('A plugin needs an id and an install function.');
+    }
+    if (registeredPlugins.some(registered => registered.id === plugin.id)) {
+        throw new Error(`A plugin with the id "${plugin.id}" is already registered.`);
+    }
+    registeredPlugins.push(plugin);
+    pluginHosts.forEach(host => host.install(plugin));
+}
+
+// The PluginHost installs the registered plugins into a scene. A plugin that fails to install is
+// reported and skipped, it can not keep the game from starting.
+export class PluginHost {
+    constructor(scene) {
+        this.scene = scene;
+        pluginHosts.add(this);
+        registeredPlugins.forEach(plugin => this.install(plugin));
+        scene.events.once('destroy', () => pluginHosts.delete(this));
+    }
+
+    install(plugin) {
+        try {
+            plugin.install(this.createApi());
+        } catch (error) {
+            console.warn(`The plugin ${plugin.id} could not be installed: ${error.message}`);
+        }
+    }
+
+    createApi() {
+        const scene = this.scene;
+        return {
+            scene,
+            events: scene.gameEvents,
+            addHudElement: gameObject => gameObject.setDepth(HUD_DEPTH),
+            addEffect: (eventName, effect) => scene.gameEvents.on(eventName, payload => effect(payload, scene)),
+            getCellPosition: (cell, board = 0) => scene.boards[board].getCirclePosition(cell.x, cell.y),
+        };
+    }
+}
@@ -0,0 +1,102 @@
+// The time (in milliseconds of game time) a replayed chain is shown before it is committed.
+const CHAIN_PREVIEW_TIME = 300;
+
+// The ReplayPlayer class re-drives the mainScene through the moves of a recorded game. Each move
+// is selected through the same functions the pointer uses, so the chain lines, pulses and clear
+// animations of the VisualEffectsManager play exactly as they did in the original game. Playback
+// can be paused and sped up, which is done by scaling the scene's clock and tweens so that the
+// game mode timers stay in sync with the replay.
+export class ReplayPlayer {
+    static SPEEDS = [1, 2, 4];
+
+    constructor(scene, replay) {
+        this.scene = scene;
+        this.replay = replay;
+        this.nextMoveIndex = 0;
+        // The recorded time of the chain that is shown, null while no chain waits to be committed.
+        this.commitTime = null;
+        this.paused = false;
+        this.speed = ReplayPlayer.SPEEDS[0];
+    }
+
+    isFinished() {
+        return this.nextMoveIndex >= this.replay.moves.length && this.commitTime === null;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.scene.time.paused = paused;
+        if (paused) {
+            this.scene.tweens.pauseAll();
+        } else {
+            this.scene.tweens.resumeAll();
+        }
+    }
+
+    // Moves to the next playback speed, wrapping around to normal speed after the fastest one.
+    cycleSpeed() {
+        const speedIndex = ReplayPlayer.SPEEDS.indexOf(this.speed);
+        this.setSpeed(ReplayPlayer.SPEEDS[(speedIndex + 1) % ReplayPlayer.SPEEDS.length]);
+        return this.speed;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.scene.time.timeScale = speed;
+        this.scene.tweens.timeScale = speed;
+    }
+
+    // This function is called every frame with the current game time. It starts showing the next
+    // chain shortly before it was committed in the original game, commits it on the first frame
+    // after the recorded time, and ends the game once every move has been played. While the chain
+    // is committed 'commitTime' still holds the recorded time, the scene scores it at that time
+    // (see MainScene.getChainTime) so that combos come out exactly as in the original game.
+    update(elapsed) {
+        const board = this.scene.activeBoard;
+        if (this.paused || board.boardRefillHappening) {
+            return;
+        }
+        if (this.commitTime !== null) {
+            if (elapsed >= this.commitTime) {
+                board.commitSelectedChain();
+                this.commitTime = null;
+            }
+            return;
+        }
+        const move = this.replay.moves[this.nextMoveIndex];
+        if (move && elapsed >= move.time - CHAIN_PREVIEW_TIME) {
+            this.nextMoveIndex += 1;
+            this.selectChain(move);
+            this.commitTime = move.time;
+        } else if (!move && elapsed >= this.replay.duration) {
+            this.scene.endGame();
+        }
+    }
+
+    // Selects the circles of a recorded chain one by one. The replay is stopped if the chain is
+    // not valid on the current board, which means the file does not belong to this seed.
+    selectChain(move) {
+        const board = this.scene.activeBoard;
+        const chain = move.chain.map(([x, y]) => board.boardModel.getCell(x, y));
+        if (chain.includes(null) || !board.boardModel.isValidChain(chain)
+            || board.boardModel.isLoop(chain) !== move.loop) {
+            console.warn('Replay move does not match the board, stopping the replay.');
+            this.scene.endGame();
+            return;
+        }
+        chain.forEach((cell, index) => {
+            const circle = board.getCircleForCell(cell);
+            if (move.loop && index === chain.length - 1) {
+                board.handleLoopCreated(circle);
+            } else {
+                board.addCircleToSelectedChain(circle);
+            }
+        });
+    }
+
+    // Restores the scene's clock and tweens to normal speed.
+    stop() {
+        this.setPaused(false);
+        this.setSpeed(1);
+    }
+}
@@ -0,0 +1,90 @@
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const SAVED_GAME_KEY = 'dots.savedGame';
+export const SAVED_GAME_VERSION = 1;
+
+// Upgrades older saves to the current format. Each entry takes a save of the version it is listed
+// under and returns it in the format of the next version, so a save is migrated one version at a
+// time until it is current. Saves of versions without a migration are rejected.
+const MIGRATIONS = {};
+
+const CELL_TYPES = ['normal', 'bomb', 'wildcard', 'anchor'];
+
+// Brings 'json' up to SAVED_GAME_VERSION and checks that it is a game this version can continue.
+// Returns the save or throws an error saying why it can not be used. A save looks like this:
+//
+// {
+//     "version": 1,
+//     "mode": "timed",                 the id of the game mode
+//     "levelId": null,                 the id of the campaign level, if one was played
+//     "seed": 123, "randomState": 456, the board's generator continues from 'randomState'
+//     "config": { ... },               board configuration and rules, as in replays
+//     "colors": [0, 1, 2, 3, 4],       the colors of the board
+//     "cells": [[{ "id", "type", "color" }, ...], ...],   one array per column, from the top
+//     "nextCellId": 48,
+//     "score": 10, "elapsed": 12000,   'elapsed' is the game time in milliseconds
+//     "modeState": { ... },            see GameMode.getSavedState
+//     "stats": { ... },                see GameStats.getSavedState
+//     "hintsUsed": 0,
+//     "replay": { ... }                the replay recorded so far, null for levels
+// }
+export function parseSavedGame(json) {
+    if (!json || typeof json !== 'object' || !Number.isInteger(json.version)) {
+        throw new Error('Not a saved game.');
+    }
+    let savedGame = json;
+    while (savedGame.version < SAVED_GAME_VERSION && MIGRATIONS[savedGame.version]) {
+        savedGame = MIGRATIONS[savedGame.version](savedGame);
+    }
+    if (savedGame.version !== SAVED_GAME_VERSION) {
+        throw new Error(`Unsupported saved game version: ${json.version}`);
+    }
+    const { config, cells } = savedGame;
+    const isValidCell = cell => cell && Number.isInteger(cell.id) && CELL_TYPES.includes(cell.type)
+        && (cell.color === null || savedGame.colors.includes(cell.color));
+    const isValidBoard = config && Array.isArray(savedGame.colors) && Array.isArray(cells)
+        && cells.length === config.width
+        && cells.every(column => Array.isArray(column) && column.length === config.height && column.every(isValidCell));
+    if (typeof savedGame.mode !== 'string' || !Number.isInteger(savedGame.seed) || !Number.isInteger(savedGame.randomState)
+        || !isValidBoard || !Number.isInteger(savedGame.nextCellId)
+        || !Number.isFinite(savedGame.score) || !Number.isFinite(savedGame.elapsed) || !savedGame.stats) {
+        throw new Error('The saved game is damaged.');
+    }
+    return savedGame;
+}
+
+// The SavedGameStore keeps the game that was in progress when the player paused it or left the
+// page, so it can be continued later. Only one game is kept at a time. A save that can not be
+// continued any more is thrown away when it is loaded.
+export class SavedGameStore {
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+    }
+
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    // Returns the saved game checked by parseSavedGame, or null if there is none.
+    load() {
+        const json = loadJson(this.storage, SAVED_GAME_KEY, null);
+        if (json === null) {
+            return null;
+        }
+        try {
+            return parseSavedGame(json);
+        } catch (error) {
+            console.warn(error.message);
+            this.clear();
+            return null;
+        }
+    }
+
+    save(savedGame) {
+        saveJson(this.storage, SAVED_GAME_KEY, { ...savedGame, version: SAVED_GAME_VERSION });
+    }
+
+    clear() {
+        this.storage.removeItem(SAVED_GAME_KEY);
+    }
+}
@@ -0,0 +1,136 @@
+import * as Constants from '../constants/constants.js';
+
+// The ScoringRules class decides how many points a cleared chain is worth. The scene scores the
+// committed chains and the preview of the chain being built with the same rules, the headless
+// games of the benchmark use them too. Like the BoardModel it has no dependency on Phaser. A
+// chain scores
+// - 'pointsPerDot' for every cleared dot, times the weight of its color in 'colorWeights' (indexed
+//   like the palette, colors without a weight and special dots without a color count 1),
+// - plus 'loopBonus' if it is a loop,
+// - times the largest multiplier of the 'chainTiers' ({ minDots, multiplier }) the number of
+//   cleared dots reaches,
+// - times the multiplier of the combo it continues (see ComboTracker), rounded to whole points.
+export class ScoringRules {
+    constructor({ pointsPerDot = 1, colorWeights = [], loopBonus = 0, chainTiers = [], combo = {} } = {}) {
+        this.pointsPerDot = pointsPerDot;
+        this.colorWeights = colorWeights;
+        this.loopBonus = loopBonus;
+        this.chainTiers = chainTiers;
+        this.combo = {
+            window: Constants.COMBO_WINDOW,
+            step: Constants.COMBO_STEP,
+            maxMultiplier: Constants.COMBO_MAX_MULTIPLIER,
+            ...combo,
+        };
+    }
+
+    getColorWeight(color) {
+        const weight = color !== null ? this.colorWeights[color] : undefined;
+        return weight !== undefined ? weight : 1;
+    }
+
+    getTierMultiplier(dotCount) {
+        return this.chainTiers
+            .filter(tier => dotCount >= tier.minDots)
+            .reduce((multiplier, tier) => Math.max(multiplier, tier.multiplier), 1);
+    }
+
+    // Returns { basePoints, tierMultiplier, comboMultiplier, multiplier, points } for a chain that
+    // clears 'clearedCells', where 'multiplier' is the tier and combo multiplier together and
+    // 'points' what the chain adds to the score.
+    scoreChain(clearedCells, isLoop, comboMultiplier = 1) {
+        const dotPoints = clearedCells.reduce((sum, cell) => sum + this.pointsPerDot * this.getColorWeight(cell.color), 0);
+        const basePoints = dotPoints + (isLoop ? this.loopBonus : 0);
+        const tierMultiplier = this.getTierMultiplier(clearedCells.length);
+        const multiplier = tierMultiplier * comboMultiplier;
+        return { basePoints, tierMultiplier, comboMultiplier, multiplier, points: Math.round(basePoints * multiplier) };
+    }
+}
+
+// Returns the ScoringRules of a game with the board configuration and rules 'config' (as stored
+// in replays): chains of the bonus chain length score double, everything else is left to the
+// defaults. The optional 'scoring' section of a level replaces any of the rules.
+export function createScoringRules({ bonusChainLength, scoring = {} }) {
+    return new ScoringRules({
+        chainTiers: [{ minDots: bonusChainLength, multiplier: 2 }],
+        ...scoring,
+    });
+}
+
+// Returns why 'json' can not be used as the 'scoring' section of a level, or null if it can. It
+// may set any of the rules of a ScoringRules:
+//
+// {
+//     "pointsPerDot": 1,
+//     "colorWeights": [1, 2],         one number per palette index, from the first color
+//     "loopBonus": 5,
+//     "chainTiers": [{ "minDots": 6, "multiplier": 2 }, { "minDots": 12, "multiplier": 3 }],
+//     "combo": { "window": 2000, "step": 0.5, "maxMultiplier": 3 }
+//                                     a step of 0 turns combos off
+// }
+export function getScoringRulesError(json) {
+    const isNumber = value => Number.isFinite(value) && value >= 0;
+    if (!json || typeof json !== 'object') {
+        return '"scoring" must be an object.';
+    }
+    if (json.pointsPerDot !== undefined && !isNumber(json.pointsPerDot)) {
+        return '"scoring.pointsPerDot" must be a number.';
+    }
+    if (json.colorWeights !== undefined && !(Array.isArray(json.colorWeights)
+        && json.colorWeights.length <= Constants.COLOR_OPTIONS.length && json.colorWeights.every(isNumber))) {
+        return `"scoring.colorWeights" must list at most ${Constants.COLOR_OPTIONS.length} numbers.`;
+    }
+    if (json.loopBonus !== undefined && !isNumber(json.loopBonus)) {
+        return '"scoring.loopBonus" must be a number.';
+    }
+    const isValidTier = tier => tier && Number.isInteger(tier.minDots) && tier.minDots > 1
+        && isNumber(tier.multiplier);
+    if (json.chainTiers !== undefined && !(Array.isArray(json.chainTiers) && json.chainTiers.every(isValidTier))) {
+        return '"scoring.chainTiers" must be a list of { "minDots", "multiplier" }.';
+    }
+    const { combo } = json;
+    if (combo !== undefined && !(combo && typeof combo === 'object'
+        && ['window', 'step'].every(name => combo[name] === undefined || isNumber(combo[name]))
+        && (combo.maxMultiplier === undefined || (isNumber(combo.maxMultiplier) && combo.maxMultiplier >= 1)))) {
+        return '"scoring.combo" needs a "window" and "step" of at least 0 and a "maxMultiplier" of at least 1.';
+    }
+    return null;
+}
+
+// Returns 'multiplier' the way it is shown to the player in the language of 'localization', like
+// "2" or "1.5" ("1,5" in German).
+export function formatMultiplier(multiplier, localization) {
+    return localization.formatNumber(multiplier, { maximumFractionDigits: 2 });
+}
+
+// The ComboTracker class follows the combo of one player with the 'combo' rules of a
+// ScoringRules. Every chain cleared within the window of the previous one raises the multiplier
+// the next chain earns by a step, a chain cleared later starts over. Times are the game time of
+// the scene in milliseconds.
+export class ComboTracker {
+    constructor({ window, step, maxMultiplier }) {
+        this.window = window;
+        this.step = step;
+        this.maxMultiplier = maxMultiplier;
+        // The number of chains in the current combo and when the last of them was cleared.
+        this.clears = 0;
+        this.lastClearTime = null;
+    }
+
+    isActive(time) {
+        return this.lastClearTime !== null && time - this.lastClearTime <= this.window;
+    }
+
+    // Returns the multiplier a chain cleared at 'time' earns.
+    getMultiplier(time) {
+        return this.isActive(time) ? Math.min(1 + this.clears * this.step, this.maxMultiplier) : 1;
+    }
+
+    // Records a chain cleared at 'time' and returns the multiplier it earned.
+    recordClear(time) {
+        const multiplier = this.getMultiplier(time);
+        this.clears = this.isActive(time) ? this.clears + 1 : 1;
+        this.lastClearTime = time;
+        return multiplier;
+    }
+}
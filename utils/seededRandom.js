@@ -0,0 +1,42 @@
+// The SeededRandom class is a small deterministic random number generator (mulberry32). Given the
+// same seed it always produces the same sequence of numbers, which is what allows a board to be
+// reproduced exactly. It does not depend on Phaser so it can be used anywhere, including Node.
+export class SeededRandom {
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Creates a new random 32 bit seed. This is only used when no seed is provided.
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Returns a float in the range [0, 1) and advances the generator.
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Returns an integer between 'min' and 'max', both inclusive.
+    between(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(array) {
+        return array[this.between(0, array.length - 1)];
+    }
+
+    // The state can be read and restored so that a generator can continue exactly where it
+    // left off (for example after the game has been saved).
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,48 @@
+// Small helpers around the Web Storage API. Everything the game persists between sessions goes
+// through a storage object created here. When localStorage is not available (for example in Node
+// or when the browser blocks it) an in-memory storage with the same interface is used instead, so
+// callers never need to check.
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+export function createStorage() {
+    try {
+        const storage = globalThis.localStorage;
+        const testKey = 'dots.storageTest';
+        storage.setItem(testKey, testKey);
+        storage.removeItem(testKey);
+        return storage;
+    } catch (error) {
+        return new MemoryStorage();
+    }
+}
+
+// Reads and parses the JSON value stored under 'key'. 'fallback' is returned when nothing is
+// stored or the stored value can not be parsed.
+export function loadJson(storage, key, fallback) {
+    try {
+        const value = storage.getItem(key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+export function saveJson(storage, key, value) {
+    storage.setItem(key, JSON.stringify(value));
+}
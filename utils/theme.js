@@ -0,0 +1,120 @@
+import * as Constants from '../constants/constants.js';
+import { createStorage, loadJson, saveJson } from './storage.js';
+
+const THEME_KEY = 'dots.theme';
+
+// The directory of the theme files. Its index.json lists the theme files, in the order they are
+// offered to the player. The first one is used until the player picks another.
+export const THEME_DIRECTORY = 'themes';
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// The colors of each section of a theme, every other value is checked on its own in parseTheme.
+const THEME_COLORS = {
+    fonts: [],
+    board: ['border'],
+    dots: ['wildcard', 'anchor', 'anchorSymbol', 'bombRim', 'bombFuse'],
+    lines: ['color', 'focus'],
+    menu: ['panel', 'overlay', 'text', 'highlight', 'disabled'],
+    hud: ['text', 'warning'],
+};
+
+// Checks that 'json' is a complete theme and returns it with every color turned into a number,
+// the way Phaser's graphics take them. Throws an error naming 'fileName' if it is not. A theme
+// looks like this (see themes/light.json for a complete one):
+//
+// {
+//     "id": "light",                  unique, the player's choice is saved under this id
+//     "name": "Light",
+//     "background": "#FFFFFF",        every color is written as "#RRGGBB"
+//     "fonts": { "text", "monospace" },
+//                                     font families, 'monospace' is used for tables
+//     "board": { "border", "borderWidth" },
+//     "dots": { "colors", "wildcard", "anchor", "anchorSymbol", "bombRim", "bombFuse" },
+//                                     'colors' is the default dot palette with one color per
+//                                     entry in COLOR_OPTIONS
+//     "lines": { "color", "width", "focus" },
+//                                     'color' is used for chains that hold only wildcards,
+//                                     'focus' for the ring of the keyboard cursor
+//     "menu": { "panel", "panelAlpha", "overlay", "overlayAlpha", "text", "highlight", "disabled" },
+//     "hud": { "text", "warning" }
+// }
+export function parseTheme(json, fileName) {
+    const fail = (reason) => {
+        throw new Error(`Theme ${fileName}: ${reason}`);
+    };
+    const parseColor = (value, name) => {
+        if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+            fail(`"${name}" must be a color like "#FF8800".`);
+        }
+        return parseInt(value.slice(1), 16);
+    };
+    if (!json || typeof json !== 'object') {
+        fail('not a valid theme file.');
+    }
+    if (typeof json.id !== 'string' || typeof json.name !== 'string') {
+        fail('a theme needs an id and a name.');
+    }
+    const theme = { id: json.id, name: json.name, background: parseColor(json.background, 'background') };
+    Object.entries(THEME_COLORS).forEach(([sectionName, colorNames]) => {
+        const section = json[sectionName];
+        if (!section || typeof section !== 'object') {
+            fail(`"${sectionName}" is missing.`);
+        }
+        theme[sectionName] = { ...section };
+        colorNames.forEach((colorName) => {
+            theme[sectionName][colorName] = parseColor(section[colorName], `${sectionName}.${colorName}`);
+        });
+    });
+    if (!Array.isArray(json.dots.colors) || json.dots.colors.length !== Constants.COLOR_OPTIONS.length) {
+        fail(`"dots.colors" must list ${Constants.COLOR_OPTIONS.length} colors.`);
+    }
+    theme.dots.colors = json.dots.colors.map((color, colorIndex) => parseColor(color, `dots.colors[${colorIndex}]`));
+    if (typeof json.fonts.text !== 'string' || typeof json.fonts.monospace !== 'string') {
+        fail('"fonts" needs a "text" and a "monospace" font family.');
+    }
+    const isPositive = value => Number.isFinite(value) && value > 0;
+    if (!isPositive(json.board.borderWidth) || !isPositive(json.lines.width)) {
+        fail('"board.borderWidth" and "lines.width" must be positive numbers.');
+    }
+    const isAlpha = value => Number.isFinite(value) && value >= 0 && value <= 1;
+    if (!isAlpha(json.menu.panelAlpha) || !isAlpha(json.menu.overlayAlpha)) {
+        fail('"menu.panelAlpha" and "menu.overlayAlpha" must be between 0 and 1.');
+    }
+    return theme;
+}
+
+// Returns 'color', a number, as the "#rrggbb" string Phaser's text styles take.
+export function toCssColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function prefersDarkScheme() {
+    return typeof globalThis.matchMedia === 'function' && globalThis.matchMedia('(prefers-color-scheme: dark)').matches;
+}
+
+// The ThemeManager class holds the themes that were loaded and the one the game is shown in. The
+// player's choice is persisted between sessions, before the first choice the dark theme is used
+// if the system prefers dark colors. The scene's applyTheme restyles the game after a change.
+export class ThemeManager {
+    constructor(themes, storage = createStorage()) {
+        if (themes.length === 0) {
+            throw new Error('No theme could be loaded.');
+        }
+        this.themes = themes;
+        this.storage = storage;
+        const saved = loadJson(this.storage, THEME_KEY, {});
+        const themeId = saved.themeId || (prefersDarkScheme() ? 'dark' : null);
+        this.theme = themes.find(theme => theme.id === themeId) || themes[0];
+    }
+
+    save() {
+        saveJson(this.storage, THEME_KEY, { themeId: this.theme.id });
+    }
+
+    cycleTheme() {
+        const themeIndex = this.themes.indexOf(this.theme);
+        this.theme = this.themes[(themeIndex + 1) % this.themes.length];
+        this.save();
+    }
+}
@@ -0,0 +1,21 @@
+import * as Constants from '../constants/constants.js';
+
+// Rendering at a higher device pixel ratio costs a lot of memory for no visible gain.
+const MAX_PIXEL_RATIO = 3;
+
+// Returns the number of device pixels per CSS pixel the canvas is rendered at, so that the game
+// stays sharp on high-DPI screens.
+export function getPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+}
+
+// Returns the zoom a view of 'viewWidth' by 'viewHeight' game units is shown at in the 'available'
+// space: the largest zoom at which the view still fits, but never so large that a cell is shown
+// larger than MAX_CELL_DISPLAY_SIZE. The size a cell is shown at is CELL_SIZE times this zoom.
+export function getDisplayZoom(viewWidth, viewHeight, available) {
+    return Math.min(
+        available.width / viewWidth,
+        available.height / viewHeight,
+        Constants.MAX_CELL_DISPLAY_SIZE / Constants.CELL_SIZE
+    );
+}
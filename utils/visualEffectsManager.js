@@ -1,30 +1,188 @@
 import * as Constants from '../constants/constants.js';
+import { formatMultiplier } from './scoring.js';
+import { toCssColor } from './theme.js';
 
-// The VisualEffectsManager class handles all of the visual effects and tweened movements 
+// Toasts are drawn above everything else, menus included.
+const TOAST_DEPTH = 20;
+
+// The VisualEffectsManager class handles all of the visual effects and tweened movements
 // that are done by game and visual objects. This class is used by the mainScene class so that
-// it does not need to be concerned with how the visual effects are being constructed. It also 
-// allows the VFXManager class to contain all of the information that only it needs to have, 
-// clearing up the mainScene.
+// it does not need to be concerned with how the visual effects are being constructed. It also
+// allows the VFXManager class to contain all of the information that only it needs to have,
+// clearing up the mainScene. Glyphs and special dot markings move along with their circle.
 export class VisualEffectsManager {
     constructor(scene) {
         this.scene = scene;
         this.emitters = {};
-        this.borderGraphics = this.scene.add.graphics({ lineStyle: { width: 4, color: 0x000000 } });
-        this.chainLineGraphics = this.scene.add.graphics({ lineStyle: { width: 4, color: 0x000000 } });
-        this.pointerLineGraphics = this.scene.add.graphics({ lineStyle: { width: 4, color: 0x000000 } });
-        this.staticBorderGraphics = this.scene.add.graphics(({ lineStyle: { width: 2, color: 0x000000 } }));
+        this.hintLineGraphics = this.scene.add.graphics();
+        this.focusGraphics = this.scene.add.graphics();
+        this.staticBorderGraphics = this.scene.add.graphics();
+        this.toastQueue = [];
         this.addGameBorder();
     }
 
+    get theme() {
+        return this.scene.themeManager.theme;
+    }
+
+    // Called by the scene after the theme changed, the next chain, hint and focus ring are drawn
+    // in the new theme anyway.
+    applyTheme() {
+        this.addGameBorder();
+    }
+
+    // Draws a border around every board of the game.
     addGameBorder() {
         const borderThickness = 2;
+        const { gameWidth, gameHeight } = this.scene.settings;
         this.staticBorderGraphics.clear();
-        this.staticBorderGraphics.strokeRect(
-            borderThickness / 2,
-            borderThickness / 2,
-            Constants.GAME_WIDTH - 2,
-            Constants.GAME_HEIGHT - 2
-        );
+        this.staticBorderGraphics.lineStyle(this.theme.board.borderWidth, this.theme.board.border);
+        for (let boardIndex = 0; boardIndex < this.scene.boardCount; boardIndex++) {
+            this.staticBorderGraphics.strokeRect(
+                boardIndex * gameWidth + borderThickness / 2,
+                borderThickness / 2,
+                gameWidth - 2,
+                gameHeight - 2
+            );
+        }
+    }
+
+    // Creates the graphics a BoardController draws its chain on: the bonus progress along the
+    // border of the board, the lines between the circles of the chain and the line to the pointer.
+    createBoardGraphics() {
+        return {
+            border: this.scene.add.graphics(),
+            chainLines: this.scene.add.graphics(),
+            pointerLine: this.scene.add.graphics(),
+        };
+    }
+
+    // This function creates the glyph for a new circle, or returns null for a normal dot when
+    // shapes are disabled. The glyph is drawn around its own origin so that it can be moved and
+    // scaled together with the circle, and it is destroyed together with the circle.
+    createGlyph(circle) {
+        if (!this.getColorGlyph(circle.cell) && circle.cell.type === 'normal') {
+            return null;
+        }
+        const glyphGraphics = this.scene.add.graphics({ x: circle.x, y: circle.y });
+        this.drawCircleMarkings(glyphGraphics, circle.cell, 0, 0, circle.radius);
+        circle.once('destroy', () => glyphGraphics.destroy());
+        return glyphGraphics;
+    }
+
+    // Draws 'circle' again in the current colors of the ColorScheme, after the theme or palette
+    // changed while it was on the board.
+    restyleCircle(circle) {
+        circle.color = this.scene.colorScheme.getCellColor(circle.cell);
+        circle.setFillStyle(circle.color);
+        if (circle.glyph) {
+            circle.glyph.clear();
+            this.drawCircleMarkings(circle.glyph, circle.cell, 0, 0, circle.radius);
+        }
+    }
+
+    // Returns the glyph of the cell's color, or null when shapes are disabled or the cell has no
+    // color.
+    getColorGlyph(cell) {
+        return cell.color !== null ? this.scene.colorScheme.getGlyph(cell.color) : null;
+    }
+
+    // Draws everything that is drawn on top of the circle of 'cell' at x, y: the glyph of its
+    // color and the marking of its special type.
+    drawCircleMarkings(graphics, cell, x, y, radius) {
+        const glyph = this.getColorGlyph(cell);
+        if (glyph) {
+            this.drawGlyph(graphics, glyph, x, y, radius * 0.55, this.scene.colorScheme.getGlyphColor(cell.color));
+        }
+        this.drawSpecialMarking(graphics, cell.type, x, y, radius);
+    }
+
+    // A bomb has a dark rim and a lit fuse, a wildcard a ring made of every color on the board
+    // and an anchor an anchor symbol.
+    drawSpecialMarking(graphics, type, x, y, radius) {
+        switch (type) {
+            case 'bomb':
+                graphics.lineStyle(2, this.theme.dots.bombRim, 1);
+                graphics.strokeCircle(x, y, radius);
+                graphics.lineBetween(x + radius * 0.7, y - radius * 0.7, x + radius * 1.1, y - radius * 1.1);
+                graphics.fillStyle(this.theme.dots.bombFuse, 1);
+                graphics.fillCircle(x + radius * 1.15, y - radius * 1.15, 2.5);
+                break;
+            case 'wildcard': {
+                // Every board of a game is played with the same colors.
+                const colors = this.scene.activeBoard.boardModel.colors;
+                colors.forEach((colorIndex, index) => {
+                    const startAngle = index * 2 * Math.PI / colors.length;
+                    graphics.lineStyle(3, this.scene.colorScheme.getColor(colorIndex), 1);
+                    graphics.beginPath();
+                    graphics.arc(x, y, radius - 1.5, startAngle, startAngle + 2 * Math.PI / colors.length);
+                    graphics.strokePath();
+                });
+                break;
+            }
+            case 'anchor':
+                graphics.lineStyle(2, this.theme.dots.anchorSymbol, 1);
+                graphics.lineBetween(x, y - radius * 0.6, x, y + radius * 0.55);
+                graphics.lineBetween(x - radius * 0.35, y - radius * 0.3, x + radius * 0.35, y - radius * 0.3);
+                graphics.beginPath();
+                graphics.arc(x, y, radius * 0.55, Math.PI * 0.15, Math.PI * 0.85);
+                graphics.strokePath();
+                break;
+        }
+    }
+
+    // Returns the color a chain of 'circles' is drawn in: the color of its first circle that is
+    // not a wildcard, or the line color of the theme while it only holds wildcards.
+    getChainColor(circles) {
+        const coloredCircle = circles.find(circle => circle.cell.color !== null);
+        return coloredCircle ? coloredCircle.color : this.theme.lines.color;
+    }
+
+    // Draws 'glyph' (one of GLYPHS) centered at x, y onto 'graphics'. 'size' is roughly the
+    // radius of the glyph.
+    drawGlyph(graphics, glyph, x, y, size, color) {
+        graphics.fillStyle(color, 1);
+        graphics.lineStyle(size * 0.4, color, 1);
+        switch (glyph) {
+            case 'triangle':
+                graphics.fillTriangle(x, y - size, x - size * 0.9, y + size * 0.6, x + size * 0.9, y + size * 0.6);
+                break;
+            case 'square':
+                graphics.fillRect(x - size * 0.7, y - size * 0.7, size * 1.4, size * 1.4);
+                break;
+            case 'diamond':
+                graphics.fillPoints([{ x, y: y - size }, { x: x + size, y }, { x, y: y + size }, { x: x - size, y }], true);
+                break;
+            case 'plus':
+                graphics.fillRect(x - size, y - size * 0.25, size * 2, size * 0.5);
+                graphics.fillRect(x - size * 0.25, y - size, size * 0.5, size * 2);
+                break;
+            case 'cross':
+                graphics.lineBetween(x - size * 0.8, y - size * 0.8, x + size * 0.8, y + size * 0.8);
+                graphics.lineBetween(x - size * 0.8, y + size * 0.8, x + size * 0.8, y - size * 0.8);
+                break;
+            case 'star': {
+                const points = [];
+                for (let i = 0; i < 10; i++) {
+                    const angle = -Math.PI / 2 + i * Math.PI / 5;
+                    const pointRadius = i % 2 === 0 ? size : size * 0.45;
+                    points.push({ x: x + Math.cos(angle) * pointRadius, y: y + Math.sin(angle) * pointRadius });
+                }
+                graphics.fillPoints(points, true);
+                break;
+            }
+            case 'ring':
+                graphics.strokeCircle(x, y, size * 0.7);
+                break;
+            case 'bar':
+                graphics.fillRect(x - size, y - size * 0.3, size * 2, size * 0.6);
+                break;
+        }
+    }
+
+    // Returns what a tween of 'circle' needs to target so that its glyph moves along with it.
+    getTweenTargets(circle) {
+        return circle.glyph ? [circle, circle.glyph] : circle;
     }
 
     // This function creates a pulse visual effect centered at the location of the 'circle' parameter.
@@ -34,6 +192,7 @@ export class VisualEffectsManager {
         let pulse = this.scene.add.graphics({ x: circle.x, y: circle.y });
         pulse.fillStyle(circle.color, 1);
         pulse.fillCircle(0, 0, circle.radius);
+        this.drawCircleMarkings(pulse, circle.cell, 0, 0, circle.radius);
 
         this.scene.tweens.add({
             targets: pulse,
@@ -51,7 +210,7 @@ export class VisualEffectsManager {
     // it is removed from the game board.
     shrinkCircle(circle, onCompleteCallback) {
         this.scene.tweens.add({
-            targets: circle,
+            targets: this.getTweenTargets(circle),
             scale: 0,
             alpha: 1,
             duration: 200,
@@ -100,17 +259,64 @@ export class VisualEffectsManager {
         emitter.emitParticleAt(circle.x, circle.y);
     }
 
+    // This function plays the extra effect of a special dot when it is cleared, it is called for
+    // each cleared circle right before it shrinks. A bomb explodes with a flash and a small camera
+    // shake, a wildcard bursts into sparks of every color on the board.
+    playClearEffect(circle) {
+        if (circle.cell.type === 'bomb') {
+            const flash = this.scene.add.graphics({ x: circle.x, y: circle.y });
+            flash.fillStyle(this.theme.dots.bombFuse, 0.8);
+            flash.fillCircle(0, 0, Constants.CELL_SIZE);
+            flash.lineStyle(3, this.theme.dots.bombRim, 1);
+            flash.strokeCircle(0, 0, Constants.CELL_SIZE);
+            flash.setScale(0.2);
+            this.scene.tweens.add({
+                targets: flash,
+                scale: 1.2,
+                alpha: 0,
+                duration: 300,
+                ease: 'Quadratic.Out',
+                onComplete: () => flash.destroy()
+            });
+            this.scene.cameras.main.shake(150, 0.005);
+        } else if (circle.cell.type === 'wildcard') {
+            circle.board.boardModel.colors.forEach((colorIndex) => {
+                this.getFireworkParticles(this.scene.colorScheme.getColor(colorIndex))
+                    .emitParticleAt(circle.x, circle.y, 10);
+            });
+        }
+    }
+
+    // This function is called on an anchor once it has reached the bottom row. The anchor sinks
+    // through the bottom of the board while it fades out and is then destroyed.
+    sinkAnchor(circle, onCompleteCallback) {
+        this.scene.tweens.add({
+            targets: this.getTweenTargets(circle),
+            y: circle.y + Constants.CELL_SIZE,
+            alpha: 0,
+            scale: 0.6,
+            duration: 350,
+            ease: 'Quadratic.In',
+            onComplete: () => {
+                circle.destroy();
+                if (onCompleteCallback) {
+                    onCompleteCallback();
+                }
+            }
+        });
+    }
+
     // This function is called whenever the player succesfully captures any number of
     // circles. It animates a scoring messages that travels between the temporary 
-    // scoring display and their running point total.
-    scoringPointsAnimation(pointsToAdd, color) {
+    // scoring display and their running point total, below the board centered on 'centerX'.
+    scoringPointsAnimation(pointsToAdd, color, centerX) {
         const scoringAnimation = this.scene.add.text(
-            (Constants.GAME_WIDTH) / 2,
-            Constants.GAME_HEIGHT - 55,
-            `+ ${pointsToAdd}!`,
-            { fontSize: '16px', fill: `#${color.toString(16)}`, alpha: 1 }
+            centerX,
+            this.scene.settings.gameHeight - 55,
+            this.scene.localization.t('hud.pointsToAdd', { points: pointsToAdd }),
+            { fontSize: '16px', fontFamily: this.theme.fonts.text, fill: toCssColor(color), alpha: 1 }
         );
-        scoringAnimation.setX((Constants.GAME_WIDTH - scoringAnimation.width) / 2)
+        scoringAnimation.setX(centerX - scoringAnimation.width / 2)
 
         this.scene.tweens.add({
             targets: scoringAnimation,
@@ -124,112 +330,271 @@ export class VisualEffectsManager {
         });
     }
 
-    // This function is called on each new circle when it is added to the game board.
-    // It creates a tween per number of 'spaceToMove'. The 'startingIndex' is used to
-    // determine where the circle will start in the gameBoard. The last space the circle
-    // has to move has an additional two tweens to simulate the circle bouncing and 
-    // coming to rest.
-    createAndPlayFallingTweens(circle, spacesToMove, startingIndex) {
+    // Called when a chain continues a combo. The combo 'multiplier' pops up in the middle of the
+    // board centered on 'centerX', in the 'color' of the chain, and grows larger the longer the
+    // combo gets.
+    playComboEffect(multiplier, color, centerX) {
+        const comboText = this.scene.add.text(
+            centerX,
+            this.scene.settings.gameHeight / 2,
+            this.scene.localization.t('effects.combo', { multiplier: formatMultiplier(multiplier, this.scene.localization) }),
+            { fontSize: '22px', fontFamily: this.theme.fonts.text, fill: toCssColor(color) }
+        )
+            .setFontStyle('bold')
+            .setOrigin(0.5)
+            .setDepth(1)
+            .setScale(0.5);
+
+        this.scene.tweens.add({
+            targets: comboText,
+            scale: 0.7 + multiplier * 0.3,
+            duration: 250,
+            ease: 'Back.Out',
+        });
+        this.scene.tweens.add({
+            targets: comboText,
+            y: comboText.y - 30,
+            alpha: 0,
+            delay: 250,
+            duration: 500,
+            ease: 'Quadratic.In',
+            onComplete: () => {
+                comboText.destroy();
+            }
+        });
+    }
+
+    // Called when an achievement is unlocked. A toast naming it slides in at the top of the game,
+    // stays for a moment and slides out again. Achievements unlocked together are shown one after
+    // the other.
+    showAchievementToast(achievement) {
+        this.toastQueue.push(achievement);
+        if (this.toastQueue.length === 1) {
+            this.playNextToast();
+        }
+    }
+
+    playNextToast() {
+        const achievement = this.toastQueue[0];
+        const width = 200;
+        const height = 44;
+        const panel = this.scene.add.graphics();
+        panel.fillStyle(this.theme.menu.panel, 1);
+        panel.fillRect(-width / 2, 0, width, height);
+        panel.lineStyle(2, this.theme.menu.highlight);
+        panel.strokeRect(-width / 2, 0, width, height);
+        const textStyle = { fontFamily: this.theme.fonts.text, fill: toCssColor(this.theme.menu.text) };
+        const titleText = this.scene.add.text(0, 12, this.scene.localization.t('effects.achievementUnlocked'), { ...textStyle, fontSize: '11px' })
+            .setOrigin(0.5);
+        const labelText = this.scene.add.text(0, 30, this.scene.localization.t(achievement.label), { ...textStyle, fontSize: '16px' })
+            .setFontStyle('bold')
+            .setOrigin(0.5);
+        const toast = this.scene.add.container(this.scene.getViewWidth() / 2, -height, [panel, titleText, labelText])
+            .setDepth(TOAST_DEPTH);
+
+        this.scene.tweens.add({
+            targets: toast,
+            y: 8,
+            duration: 350,
+            ease: 'Back.Out',
+        });
+        this.scene.tweens.add({
+            targets: toast,
+            y: -height,
+            delay: 2500,
+            duration: 300,
+            ease: 'Quadratic.In',
+            onComplete: () => {
+                toast.destroy();
+                this.toastQueue.shift();
+                if (this.toastQueue.length > 0) {
+                    this.playNextToast();
+                }
+            }
+        });
+    }
+
+    // This function is called on each circle that falls after a clear, including the new circles
+    // added above the board. It creates a tween for every row the circle passes on its way from
+    // row 'fromY' to row 'toY', following the fall path of the board's geometry. The last row has
+    // two additional tweens to simulate the circle bouncing and coming to rest.
+    // 'onCompleteCallback' is called once the circle has come to rest.
+    createAndPlayFallingTweens(circle, fromY, toY, onCompleteCallback) {
         const tweens = []
-        let curXValue = circle.x;
-        let curYValue = circle.y;
+        const path = circle.board.getFallPath(circle.cell.x, fromY, toY);
         let duration = 150;
-        for (var i = startingIndex; i < startingIndex + spacesToMove; i++) {
-            curXValue += (i % 2 === 0 ? -Constants.CELL_SIZE / 2 : Constants.CELL_SIZE / 2);
-            curYValue += Constants.CELL_SIZE;
+        path.forEach(({ x, y }, index) => {
             tweens.push({
-                y: curYValue,
-                x: curXValue,
+                y: y,
+                x: x,
                 duration: duration,
                 ease: 'Linear'
             })
             duration *= 0.9;
-            if (i === startingIndex + spacesToMove - 1) {
+            if (index === path.length - 1) {
                 tweens.push({
-                    y: curYValue - 4,
-                    x: curXValue,
+                    y: y - 4,
+                    x: x,
                     duration: 50,
                     ease: 'Quadratic'
                 })
                 tweens.push({
-                    y: curYValue,
-                    x: curXValue,
+                    y: y,
+                    x: x,
                     duration: 50,
                     ease: 'Quadratic'
                 })
             }
-        }
+        });
         let tweenChain = this.scene.tweens.chain({
-            targets: circle,
-            tweens: tweens
+            targets: this.getTweenTargets(circle),
+            tweens: tweens,
+            onComplete: onCompleteCallback
         });
         tweenChain.play();
     }
 
-    // The function is called when a circle is added or removed from the chain. It 
-    // draws the lines between each circle in the chain.
-    updateChainLines() {
-        this.chainLineGraphics.clear();
-        if (this.scene.selectedCircles.length > 1) {
+    // This function moves a circle to its new position when the board is shuffled. The circle
+    // shrinks a little on the way so the shuffle reads as the circles being mixed.
+    shuffleCircle(circle, x, y, onCompleteCallback) {
+        this.scene.tweens.add({
+            targets: this.getTweenTargets(circle),
+            x: x,
+            y: y,
+            duration: 500,
+            ease: 'Cubic.InOut',
+            onComplete: onCompleteCallback
+        });
+        this.scene.tweens.add({
+            targets: this.getTweenTargets(circle),
+            scale: 0.6,
+            duration: 250,
+            ease: 'Quadratic.Out',
+            yoyo: true
+        });
+    }
+
+    // The function is called when a circle is added or removed from the chain of 'board'. It
+    // draws the lines between each circle in the chain. With shapes enabled each line also
+    // carries the glyph of its color halfway between the two circles.
+    updateChainLines(board) {
+        const chainLineGraphics = board.graphics.chainLines;
+        const selectedCircles = board.selectedCircles;
+        chainLineGraphics.clear();
+        if (selectedCircles.length > 1) {
+            const chainColor = this.getChainColor(selectedCircles);
             // Draw lines between circles in the chain
-            for (let i = 0; i < this.scene.selectedCircles.length - 1; i++) {
-                const circle1 = this.scene.selectedCircles[i];
-                const circle2 = this.scene.selectedCircles[i + 1];
-                this.chainLineGraphics.lineStyle(4, circle1.color);
-                this.chainLineGraphics.lineBetween(circle1.x, circle1.y, circle2.x, circle2.y);
+            for (let i = 0; i < selectedCircles.length - 1; i++) {
+                const circle1 = selectedCircles[i];
+                const circle2 = selectedCircles[i + 1];
+                chainLineGraphics.lineStyle(this.theme.lines.width, chainColor);
+                chainLineGraphics.lineBetween(circle1.x, circle1.y, circle2.x, circle2.y);
+                const glyph = this.getColorGlyph(circle1.cell);
+                if (glyph) {
+                    this.drawChainLineGlyph(chainLineGraphics, circle1, glyph, (circle1.x + circle2.x) / 2, (circle1.y + circle2.y) / 2);
+                }
             }
         }
     }
 
+    drawChainLineGlyph(chainLineGraphics, circle, glyph, x, y) {
+        chainLineGraphics.fillStyle(circle.color, 1);
+        chainLineGraphics.fillCircle(x, y, 6);
+        this.drawGlyph(chainLineGraphics, glyph, x, y, 4, this.scene.colorScheme.getGlyphColor(circle.cell.color));
+    }
+
     // The function is called when the player moves their cursor. It draws a line between the 
-    // cursor and the most recently selected circle (as long as there is one)
-    updatePointerLines(pointer) {
-        if (this.scene.selectedCircles.length > 0) {
+    // cursor and the most recently selected circle of 'board' (as long as there is one)
+    updatePointerLines(board, pointer) {
+        const selectedCircles = board.selectedCircles;
+        if (selectedCircles.length > 0) {
             // Draw line from last circle to cursor
-            const lastCircle = this.scene.selectedCircles[this.scene.selectedCircles.length - 1];
+            const lastCircle = selectedCircles[selectedCircles.length - 1];
             if (pointer) {
-                this.pointerLineGraphics.clear();
-                this.pointerLineGraphics.lineStyle(4, lastCircle.color);
-                this.pointerLineGraphics.lineBetween(lastCircle.x, lastCircle.y, pointer.x, pointer.y);
+                board.graphics.pointerLine.clear();
+                board.graphics.pointerLine.lineStyle(this.theme.lines.width, this.getChainColor(selectedCircles));
+                board.graphics.pointerLine.lineBetween(lastCircle.x, lastCircle.y, pointer.worldX, pointer.worldY);
             }
         }
     }
 
-    clearAllGraphics() {
-        this.borderGraphics.clear();
-        this.chainLineGraphics.clear();
-        this.pointerLineGraphics.clear();
+    // This function shows the player a suggested chain. Each circle of the chain pulses and the
+    // path is traced with the same lines that are drawn for a chain, which then fade out.
+    showHint(circles) {
+        this.clearHint();
+        [...new Set(circles)].forEach(circle => this.createPulseEffect(circle));
+        this.hintLineGraphics.lineStyle(this.theme.lines.width, this.getChainColor(circles));
+        for (let i = 0; i < circles.length - 1; i++) {
+            this.hintLineGraphics.lineBetween(circles[i].x, circles[i].y, circles[i + 1].x, circles[i + 1].y);
+        }
+        this.hintLineGraphics.setAlpha(0.6);
+        this.scene.tweens.add({
+            targets: this.hintLineGraphics,
+            alpha: 0,
+            delay: 800,
+            duration: 600,
+            ease: 'Linear',
+            onComplete: () => this.hintLineGraphics.clear()
+        });
+    }
+
+    clearHint() {
+        this.scene.tweens.killTweensOf(this.hintLineGraphics);
+        this.hintLineGraphics.clear();
+    }
+
+    // This function draws a ring around the circle that has the keyboard/gamepad focus. It is
+    // called every frame so the ring follows the circle while it moves.
+    drawFocusIndicator(circle) {
+        this.focusGraphics.clear();
+        if (!circle) {
+            return;
+        }
+        this.focusGraphics.lineStyle(3, this.theme.lines.focus);
+        this.focusGraphics.strokeCircle(circle.x, circle.y, circle.radius + 5);
+    }
+
+    clearFocusIndicator() {
+        this.focusGraphics.clear();
+    }
+
+    // Clears the chain graphics of 'board'.
+    clearAllGraphics(board) {
+        Object.values(board.graphics).forEach(graphics => graphics.clear());
     }
 
     // The function is called whenever the player adds or removes a circle from their chain. 
-    // It calculates the ratio of the players current chain and the BONUS_CHAIN_LENGTH (any chain
-    // longer than the value of that constant is worth x2 points). This is a visual representation 
+    // It calculates the ratio of the players current chain and the bonus chain length setting (any
+    // chain at least that long is worth x2 points). This is a visual representation 
     // of how close they are to achieving that goal. This function draws a line on each of the four 
-    // borders starting at the center of the associated border.
-    updateBorder() {
-        this.borderGraphics.clear();
+    // borders of 'board' starting at the center of the associated border.
+    updateBorder(board) {
+        const borderGraphics = board.graphics.border;
+        borderGraphics.clear();
 
-        const chainLength = this.scene.loopCreated
-            ? this.scene.allSimilarColorCircles.length
-            : this.scene.selectedCircles.length;
-        if (this.scene.selectedCircles.length > 0) {
-            let borderColor = this.scene.selectedCircles[0].color;
-            this.borderGraphics.fillStyle(borderColor);
+        const chainLength = board.loopCreated
+            ? board.allSimilarColorCircles.length
+            : board.selectedCircles.length;
+        if (board.selectedCircles.length > 0) {
+            let borderColor = this.getChainColor(board.selectedCircles);
+            borderGraphics.fillStyle(borderColor);
 
             // Calculate the proportion of the border to fill
-            let proportion = Math.min(chainLength / Constants.BONUS_CHAIN_LENGTH, 1);
+            const { gameWidth, gameHeight, bonusChainLength } = this.scene.settings;
+            const left = board.originX;
+            let proportion = Math.min(chainLength / bonusChainLength, 1);
 
             // Calculate fill lengths
-            let horizontalFillLength = proportion * Constants.GAME_WIDTH / 2;
-            let verticalFillLength = proportion * Constants.GAME_HEIGHT / 2;
+            let horizontalFillLength = proportion * gameWidth / 2;
+            let verticalFillLength = proportion * gameHeight / 2;
 
             // Top and bottom borders
-            this.borderGraphics.fillRect(Constants.GAME_WIDTH / 2 - horizontalFillLength, 0, horizontalFillLength * 2, 6);
-            this.borderGraphics.fillRect(Constants.GAME_WIDTH / 2 - horizontalFillLength, Constants.GAME_HEIGHT - 6, horizontalFillLength * 2, 6);
+            borderGraphics.fillRect(board.centerX - horizontalFillLength, 0, horizontalFillLength * 2, 6);
+            borderGraphics.fillRect(board.centerX - horizontalFillLength, gameHeight - 6, horizontalFillLength * 2, 6);
 
             // Left and right borders
-            this.borderGraphics.fillRect(0, Constants.GAME_HEIGHT / 2 - verticalFillLength, 6, verticalFillLength * 2);
-            this.borderGraphics.fillRect(Constants.GAME_WIDTH - 6, Constants.GAME_HEIGHT / 2 - verticalFillLength, 6, verticalFillLength * 2);
+            borderGraphics.fillRect(left, gameHeight / 2 - verticalFillLength, 6, verticalFillLength * 2);
+            borderGraphics.fillRect(left + gameWidth - 6, gameHeight / 2 - verticalFillLength, 6, verticalFillLength * 2);
         }
     }
 }
\ No newline at end of file